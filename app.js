@@ -0,0 +1,111 @@
+// app.js — Express app factory (no listening, no Firebase bootstrap: entry points do that)
+const express = require("express");
+const cors = require("cors");
+const { DateTime } = require("luxon");
+const { MODE, TZ, ORIGINS, RATE_LIMIT_STORE, RATE_LIMITS, TRUST_PROXY, METRICS_TOKEN } = require("./config");
+const { createServices } = require("./services");
+const { createAuthMiddleware, bearerToken } = require("./middleware/auth");
+const { rateLimit, createMemoryStore, createFirestoreStore, byIp, byUser } = require("./middleware/rate-limit");
+const { requestId, bindRequestContext } = require("./middleware/request-context");
+const { HttpError, sendError } = require("./lib/errors");
+const { createLogger } = require("./lib/logger");
+const { registry } = require("./lib/metrics");
+const { safeEqual } = require("./lib/crypto");
+const { asyncRoute } = require("./lib/util");
+
+const log = createLogger({ module: "app" });
+const { createOblinksRouter } = require("./routes/oblinks");
+const { createMoneyGamezRouter } = require("./routes/moneygamez");
+const { createIpnRouter } = require("./routes/ipn");
+const { createAdminRouter } = require("./routes/admin");
+
+/**
+ * Builds the Express app around injected dependencies.
+ * db: Firestore (or the in-memory adapter in tests), provider: see ./providers,
+ * auth: object with verifyIdToken(token), mailer: nodemailer transport, clock: () => Date,
+ * http: axios-like client for outbound webhooks (defaults to axios).
+ * Pass `services` to share one set with a scheduler in the same process.
+ * rateLimits: per-bucket overrides of RATE_LIMITS ({ ip: { max } } etc.).
+ */
+function createApp({ db, provider, auth, mailer, http, clock = () => new Date(), services, rateLimits = {} }) {
+  services = services || createServices({ db, provider, mailer, http, clock });
+  const { requireUser, requireOperator } = createAuthMiddleware({ auth });
+
+  const store = RATE_LIMIT_STORE === "firestore" ? createFirestoreStore(db) : createMemoryStore();
+  const limiter = (name, key) => rateLimit({ name, key, store, clock, ...RATE_LIMITS[name], ...rateLimits[name] });
+  // Per-user buckets go after requireUser on the routes that move money.
+  const limits = { pay: limiter("pay", byUser), withdraw: limiter("withdraw", byUser) };
+  const ctx = { db, provider, services, requireUser, requireOperator, limits };
+
+  const app = express();
+  app.set("trust proxy", TRUST_PROXY);
+
+  /* ─────────────── Express / CORS ─────────────── */
+  app.use(requestId);
+  app.use(
+    express.json({
+      limit: "1mb",
+      verify: (req, _res, buf) => {
+        req.rawBody = buf; // kept for service-key signature checks
+      },
+    })
+  );
+  app.use(express.urlencoded({ extended: true }));
+  app.use(cors({ origin: ORIGINS.length ? ORIGINS : true }));
+  app.use(bindRequestContext);
+
+  /* ─────────────── Basic routes ─────────────── */
+  app.get("/", (_req, res) =>
+    res
+      .status(200)
+      .send(
+        `OBlinks server ✅ • MODE=${MODE} • TZ=${TZ} • ${DateTime.now()
+          .setZone(TZ)
+          .toISO()}`
+      )
+  );
+  // Liveness: the process answers. Readiness: its dependencies answer too (503 otherwise).
+  app.get("/healthz", (_req, res) => res.json({ ok: true }));
+  app.get(
+    "/readyz",
+    asyncRoute(async (_req, res) => {
+      const report = await services.health.checkReadiness();
+      res.status(report.ok ? 200 : 503).json(report);
+    })
+  );
+  app.get("/metrics", (req, res) => {
+    if (METRICS_TOKEN && !safeEqual(bearerToken(req), METRICS_TOKEN))
+      return sendError(res, 401, "UNAUTHENTICATED", "Metrics token required");
+    res.type("text/plain; version=0.0.4").send(registry.render());
+  });
+
+  /* ─────────────── Routes ─────────────── */
+  // The provider's IPN retries must never be throttled, so it sits before the per-IP limiter.
+  app.use(createIpnRouter(ctx));
+  app.use(limiter("ip", byIp));
+  app.use(createOblinksRouter(ctx));
+  app.use(createMoneyGamezRouter(ctx));
+  app.use(createAdminRouter(ctx));
+
+  app.use((req, res) => sendError(res, 404, "NOT_FOUND", `No route for ${req.method} ${req.path}`));
+
+  /* ─────────────── Error handler ─────────────── */
+  app.use((err, _req, res, _next) => {
+    if (err instanceof HttpError) return sendError(res, err.status, err.code, err.message, err.details);
+    if (err.type === "entity.parse.failed") return sendError(res, 400, "INVALID_JSON", "Request body is not valid JSON");
+    if (err.type === "entity.too.large") return sendError(res, 413, "PAYLOAD_TOO_LARGE", "Request body too large");
+    log.error("Unhandled error", { err });
+    sendError(res, 500, "INTERNAL", "Internal server error");
+  });
+
+  return {
+    app,
+    services,
+    runDailyReturns: services.returns.runDailyReturns,
+    runReconciliation: services.reconciliation.runReconciliation,
+    sendPayout: services.payouts.sendPayout,
+    createStakeAndCredit: services.deposits.createStakeAndCredit,
+  };
+}
+
+module.exports = { createApp };
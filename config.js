@@ -0,0 +1,112 @@
+// config.js — environment and business constants
+require("dotenv").config();
+const { createLogger } = require("./lib/logger");
+
+const log = createLogger({ module: "config" });
+
+function must(name) {
+  const v = process.env[name];
+  if (!v || !String(v).trim()) {
+    log.error("Missing required env", { name });
+    process.exit(1);
+  }
+  return v;
+}
+
+const PAYMENT_PROVIDER = (process.env.PAYMENT_PROVIDER || "siliconpay").toLowerCase(); // siliconpay | mock
+
+// Called by the entry points (not at require time) so tests can load modules without secrets.
+function requireProviderEnv() {
+  if (PAYMENT_PROVIDER !== "siliconpay") return;
+  must("ENCRYPTION_KEY");
+  must("SECRET_KEY");
+  must("SILICON_TOKEN_URL"); // https://silicon-pay.com/generate_token
+  must("SILICON_PAY_URL");   // https://silicon-pay.com/api_withdraw
+}
+
+const MODE = (process.env.MODE || "both").toLowerCase(); // web | worker | both
+const RECONCILE_AFTER_MIN = Number(process.env.RECONCILE_AFTER_MIN || 60); // "stuck" threshold
+const RECONCILE_BATCH = 200; // per collection per run
+const DISTRIBUTOR_POLL_MS = Number(process.env.DISTRIBUTOR_POLL_MS || 15000);
+const OUTBOX_POLL_MS = Number(process.env.OUTBOX_POLL_MS || 30000);
+const WEBHOOK_POLL_MS = Number(process.env.WEBHOOK_POLL_MS || 15000);
+const SSE_HEARTBEAT_MS = Number(process.env.SSE_HEARTBEAT_MS || 15000); // payment status streams
+const SSE_MAX_MS = Number(process.env.SSE_MAX_MS || 10 * 60 * 1000);
+const SSE_MAX_STREAMS_PER_USER = Number(process.env.SSE_MAX_STREAMS_PER_USER || 5); // per instance
+const JOB_CATCH_UP_DAYS = Number(process.env.JOB_CATCH_UP_DAYS || 7); // missed daily runs replayed at most this far back
+const TZ = process.env.TZ || "UTC";
+const PORT = process.env.PORT || 3000;
+const PUBLIC_URL = (process.env.PUBLIC_URL || "").replace(/\/+$/g, "");
+const SERVICE_KEY = String(process.env.SERVICE_KEY || "").trim(); // optional: signs operator calls (cron, scripts)
+const SERVICE_SIG_MAX_SKEW_SEC = 300;
+const METRICS_TOKEN = String(process.env.METRICS_TOKEN || "").trim(); // optional: bearer token for GET /metrics
+process.env.IPN_URL =
+  process.env.IPN_URL ||
+  (PUBLIC_URL ? `${PUBLIC_URL}/ipn` : PAYMENT_PROVIDER === "mock" ? `http://localhost:${PORT}/ipn` : "");
+
+const DEFAULT_COUNTRY = String(process.env.DEFAULT_COUNTRY || "UG").toUpperCase(); // see lib/countries.js
+// WITHDRAW_REVIEW_ABOVE_UGX=1000000 etc. override the manual-approval thresholds in lib/countries.js
+const WITHDRAW_REVIEW_ABOVE = Object.fromEntries(
+  Object.entries(process.env)
+    .filter(([k, v]) => k.startsWith("WITHDRAW_REVIEW_ABOVE_") && String(v).trim() !== "")
+    .map(([k, v]) => [k.slice("WITHDRAW_REVIEW_ABOVE_".length), Number(v)])
+);
+
+// Rate limits (fixed windows). "memory" is per process; "firestore" shares counters across web instances.
+const RATE_LIMIT_STORE = (process.env.RATE_LIMIT_STORE || "memory").toLowerCase(); // memory | firestore
+const RATE_LIMITS = {
+  ip: { windowMs: 60 * 1000, max: Number(process.env.RATE_LIMIT_IP_PER_MIN || 120) }, // all public routes except /ipn
+  pay: { windowMs: 10 * 60 * 1000, max: Number(process.env.RATE_LIMIT_PAY_PER_10MIN || 5) }, // per user: /api/pay, /start-payment
+  withdraw: { windowMs: 60 * 60 * 1000, max: Number(process.env.RATE_LIMIT_WITHDRAW_PER_HOUR || 10) }, // per user
+};
+// Behind a load balancer set TRUST_PROXY=1 (hop count) so req.ip is the client, not the proxy.
+const TRUST_PROXY = /^\d+$/.test(process.env.TRUST_PROXY || "")
+  ? Number(process.env.TRUST_PROXY)
+  : process.env.TRUST_PROXY || false;
+
+const ORIGINS = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+// MoneyGamez constants
+const DAILY_RATE = 0.10;
+const DURATION_DAYS = 20;
+const REFERRAL_BONUS_RATE = 0.20;
+
+/* ✅ Fee config (for clarity) */
+const DEPOSIT_FEE_RATE = 0.10;          // 10% fee
+const FEE_DIVISOR = 1 + DEPOSIT_FEE_RATE; // 1.10
+
+module.exports = {
+  must,
+  requireProviderEnv,
+  PAYMENT_PROVIDER,
+  MODE,
+  RECONCILE_AFTER_MIN,
+  RECONCILE_BATCH,
+  DISTRIBUTOR_POLL_MS,
+  OUTBOX_POLL_MS,
+  WEBHOOK_POLL_MS,
+  SSE_HEARTBEAT_MS,
+  SSE_MAX_MS,
+  SSE_MAX_STREAMS_PER_USER,
+  JOB_CATCH_UP_DAYS,
+  TZ,
+  PORT,
+  PUBLIC_URL,
+  SERVICE_KEY,
+  SERVICE_SIG_MAX_SKEW_SEC,
+  METRICS_TOKEN,
+  DEFAULT_COUNTRY,
+  WITHDRAW_REVIEW_ABOVE,
+  RATE_LIMIT_STORE,
+  RATE_LIMITS,
+  TRUST_PROXY,
+  ORIGINS,
+  DAILY_RATE,
+  DURATION_DAYS,
+  REFERRAL_BONUS_RATE,
+  DEPOSIT_FEE_RATE,
+  FEE_DIVISOR,
+};
@@ -1,10 +1,177 @@
-// distributor.js (temporary stub)
-module.exports = {
-  start() {
-    console.log("[distributor] disabled (stub).");
-  },
-  async runForStake(/* stakeId */) {
-    console.log("[distributor] runForStake disabled (stub).");
-    // do nothing
-  }
-};
\ No newline at end of file
+// distributor.js — durable per-stake job queue (Firestore `distributor_jobs`)
+// Jobs are enqueued in the same transaction that creates the stake, claimed one at a time,
+// retried with exponential backoff and left in `failed` for an operator after MAX_ATTEMPTS.
+// The "stake.distribute" step itself lives in services/distribution.js and is wired in services/index.js.
+const os = require("os");
+const admin = require("firebase-admin");
+const { DISTRIBUTOR_POLL_MS } = require("./config");
+const { createLogger } = require("./lib/logger");
+
+const log = createLogger({ module: "distributor" });
+
+const JOBS = "distributor_jobs";
+const MAX_ATTEMPTS = 6;
+const BACKOFF_BASE_MS = 30 * 1000; // 30s, 1m, 2m, 4m, 8m …
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+const LOCK_TTL_MS = 10 * 60 * 1000; // a crashed consumer's claim expires after this
+const BATCH = 20;
+const CONSUMER_ID = `${os.hostname()}:${process.pid}`;
+
+const jobIdForStake = (stakeId) => `stake-${stakeId}`;
+const backoffMs = (attempts) => Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1));
+
+/**
+ * db: Firestore, clock: () => Date.
+ * handlers: { [jobType]: async (job) => result }; "stake.distribute" gets { id, stakeId, attempts, … }.
+ * A handler throws to fail the attempt; it may run more than once, so it must be idempotent per stake.
+ */
+function createDistributor({ db, clock = () => new Date(), handlers = {} }) {
+  const ts = (ms) => admin.firestore.Timestamp.fromMillis(ms);
+  const HANDLERS = { ...handlers };
+  let timer = null;
+  let running = false;
+
+  // Inside the caller's transaction; create() makes a second enqueue for the same stake fail loudly.
+  function enqueueStakeInTx(tx, stakeId) {
+    tx.create(db.collection(JOBS).doc(jobIdForStake(stakeId)), {
+      type: "stake.distribute",
+      stakeId,
+      status: "queued",
+      attempts: 0,
+      maxAttempts: MAX_ATTEMPTS,
+      nextRunAt: ts(clock().getTime()),
+      lastError: null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  // queued (due) or running with an expired lock → running. Returns the job or null.
+  async function claim(jobId) {
+    const ref = db.collection(JOBS).doc(jobId);
+    return db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists) return null;
+      const job = snap.data() || {};
+      const now = clock().getTime();
+      const due = job.status === "queued" && (job.nextRunAt?.toMillis?.() ?? 0) <= now;
+      const stale = job.status === "running" && now - Number(job.lockedAt || 0) > LOCK_TTL_MS;
+      if (!due && !stale) return null;
+
+      tx.update(ref, {
+        status: "running",
+        lockedAt: now,
+        lockedBy: CONSUMER_ID,
+        attempts: admin.firestore.FieldValue.increment(1),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return { id: jobId, ...job, attempts: Number(job.attempts || 0) + 1 };
+    });
+  }
+
+  async function runJob(jobId) {
+    const job = await claim(jobId);
+    if (!job) return { claimed: false };
+    const ref = db.collection(JOBS).doc(jobId);
+
+    try {
+      const handler = HANDLERS[job.type];
+      if (!handler) throw new Error(`No handler for job type ${job.type}`);
+      const result = await handler(job);
+      await ref.update({
+        status: "succeeded",
+        result: result || null,
+        lastError: null,
+        lockedAt: null,
+        finishedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      log.info("Job succeeded", { jobId, attempt: job.attempts });
+      return { claimed: true, status: "succeeded" };
+    } catch (e) {
+      const exhausted = job.attempts >= Number(job.maxAttempts || MAX_ATTEMPTS);
+      const status = exhausted ? "failed" : "queued";
+      await ref.update({
+        status,
+        lastError: e.message,
+        lockedAt: null,
+        nextRunAt: ts(clock().getTime() + (exhausted ? 0 : backoffMs(job.attempts))),
+        ...(exhausted ? { finishedAt: admin.firestore.FieldValue.serverTimestamp() } : {}),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      log.error("Job attempt failed", { jobId, attempt: job.attempts, status, err: e });
+      return { claimed: true, status };
+    }
+  }
+
+  // One sweep over due and stale jobs.
+  async function processDue() {
+    const now = clock().getTime();
+    const [due, stale] = await Promise.all([
+      db.collection(JOBS).where("status", "==", "queued").where("nextRunAt", "<=", ts(now)).limit(BATCH).get(),
+      db.collection(JOBS).where("status", "==", "running").where("lockedAt", "<", now - LOCK_TTL_MS).limit(BATCH).get(),
+    ]);
+    let processed = 0;
+    for (const doc of [...due.docs, ...stale.docs]) {
+      const r = await runJob(doc.id);
+      if (r.claimed) processed += 1;
+    }
+    return { processed };
+  }
+
+  // Fire-and-forget nudge after a stake is created; the poller picks it up otherwise.
+  async function runForStake(stakeId) {
+    return runJob(jobIdForStake(stakeId));
+  }
+
+  async function listJobs({ status, limit = 50 } = {}) {
+    let q = db.collection(JOBS);
+    if (status) q = q.where("status", "==", status);
+    const snap = await q.limit(Math.min(200, Math.max(1, limit))).get();
+    return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  }
+
+  // Operator re-run of a failed job: fresh attempt budget, due immediately.
+  async function retryJob(jobId, actor) {
+    const ref = db.collection(JOBS).doc(jobId);
+    const ok = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists || snap.data()?.status !== "failed") return false;
+      tx.update(ref, {
+        status: "queued",
+        attempts: 0,
+        nextRunAt: ts(clock().getTime()),
+        retriedBy: actor || null,
+        retriedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return true;
+    });
+    return ok ? runJob(jobId) : null;
+  }
+
+  function start() {
+    if (timer) return;
+    log.info("Consumer started", { pollMs: DISTRIBUTOR_POLL_MS, types: Object.keys(HANDLERS) });
+    timer = setInterval(async () => {
+      if (running) return;
+      running = true;
+      try {
+        await processDue();
+      } catch (e) {
+        log.error("Sweep failed", { err: e });
+      } finally {
+        running = false;
+      }
+    }, DISTRIBUTOR_POLL_MS);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { enqueueStakeInTx, runForStake, runJob, processDue, listJobs, retryJob, start, stop };
+}
+
+module.exports = { createDistributor, jobIdForStake, backoffMs, MAX_ATTEMPTS };
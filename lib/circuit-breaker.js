@@ -0,0 +1,85 @@
+// lib/circuit-breaker.js — fail fast while a dependency is down
+// closed → (failureThreshold consecutive failures) → open → (resetAfterMs) → half_open
+// half_open lets one trial call through: success closes the circuit, failure re-opens it.
+const { createLogger } = require("./logger");
+
+const log = createLogger({ module: "circuit-breaker" });
+
+// Network errors, timeouts and 5xx count as failures; 4xx answers mean the dependency is up.
+const defaultIsFailure = (err, res) =>
+  err ? !err.response || err.response.status >= 500 : Number(res?.status) >= 500;
+
+/**
+ * name: for errors and logs, onStateChange(state): e.g. to export a gauge,
+ * now: () => ms (injectable for tests). call(fn) runs fn through the breaker.
+ */
+function createCircuitBreaker({
+  name,
+  failureThreshold = 5,
+  resetAfterMs = 30 * 1000,
+  isFailure = defaultIsFailure,
+  onStateChange = () => {},
+  now = Date.now,
+}) {
+  let state = "closed";
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  const setState = (next) => {
+    if (next === state) return;
+    state = next;
+    if (next === "open") log.warn("Circuit opened", { circuit: name, failures, resetAfterMs });
+    else log.info(`Circuit ${next}`, { circuit: name });
+    onStateChange(next);
+  };
+
+  const openError = () => {
+    const retryAfterMs = Math.max(0, resetAfterMs - (now() - openedAt));
+    return Object.assign(new Error(`${name} unavailable (circuit open); retry in ${Math.ceil(retryAfterMs / 1000)}s`), {
+      code: "CIRCUIT_OPEN",
+      retryAfterMs,
+    });
+  };
+
+  function recordFailure() {
+    failures += 1;
+    if (state === "half_open" || failures >= failureThreshold) {
+      openedAt = now();
+      setState("open");
+    }
+  }
+
+  function recordSuccess() {
+    failures = 0;
+    setState("closed");
+  }
+
+  async function call(fn) {
+    if (state === "open") {
+      if (now() - openedAt < resetAfterMs) throw openError();
+      setState("half_open");
+    }
+    const trial = state === "half_open";
+    if (trial) {
+      if (trialInFlight) throw openError();
+      trialInFlight = true;
+    }
+    try {
+      const res = await fn();
+      if (isFailure(null, res)) recordFailure();
+      else recordSuccess();
+      return res;
+    } catch (e) {
+      if (isFailure(e)) recordFailure();
+      else recordSuccess();
+      throw e;
+    } finally {
+      if (trial) trialInFlight = false;
+    }
+  }
+
+  return { call, state: () => state };
+}
+
+module.exports = { createCircuitBreaker };
@@ -0,0 +1,78 @@
+// lib/countries.js — supported countries: dialling code, MSISDN rules and currency
+// Add a row here to open a new market; everything else (MSISDN validation, currency, rounding)
+// is looked up from this table.
+const { DEFAULT_COUNTRY, WITHDRAW_REVIEW_ABOVE } = require("../config");
+
+const COUNTRIES = {
+  UG: { code: "UG", name: "Uganda", dialCode: "256", currency: "UGX", national: /^7\d{8}$/ },
+  KE: { code: "KE", name: "Kenya", dialCode: "254", currency: "KES", national: /^(7|1)\d{8}$/ },
+  TZ: { code: "TZ", name: "Tanzania", dialCode: "255", currency: "TZS", national: /^[67]\d{8}$/ },
+  RW: { code: "RW", name: "Rwanda", dialCode: "250", currency: "RWF", national: /^7\d{8}$/ },
+};
+
+// decimals: minor units the provider accepts (mobile money settles whole units here).
+// reviewAbove: withdrawals larger than this wait for an operator's approval before payout.
+const CURRENCIES = {
+  UGX: { decimals: 0, reviewAbove: 500000 },
+  KES: { decimals: 0, reviewAbove: 20000 },
+  TZS: { decimals: 0, reviewAbove: 400000 },
+  RWF: { decimals: 0, reviewAbove: 200000 },
+};
+
+const getCountry = (code) => COUNTRIES[String(code || "").toUpperCase()] || null;
+const countryForCurrency = (currency) =>
+  Object.values(COUNTRIES).find((c) => c.currency === String(currency || "").toUpperCase()) || null;
+
+// Records written before currencies were stored are in the default market's currency.
+const DEFAULT_CURRENCY = getCountry(DEFAULT_COUNTRY)?.currency || "UGX";
+
+/**
+ * Picks the market for a request from an explicit country, else a currency, else DEFAULT_COUNTRY.
+ * Returns null when the caller named a country/currency we don't support.
+ */
+function resolveCountry({ country, currency } = {}) {
+  if (country) return getCountry(country);
+  if (currency) return countryForCurrency(currency);
+  return getCountry(DEFAULT_COUNTRY);
+}
+
+/**
+ * Normalises a phone number to international digits (e.g. "256772123456") for `country`.
+ * Accepts "+256 772…", "256772…", "0772…" and "772…"; returns null when it isn't a valid mobile number.
+ */
+function normalizeMsisdn(input, country = DEFAULT_COUNTRY) {
+  const c = typeof country === "string" ? getCountry(country) : country;
+  if (!c) return null;
+  let national = String(input || "").replace(/\D/g, "");
+  if (national.startsWith(c.dialCode) && national.length > c.dialCode.length + 8) national = national.slice(c.dialCode.length);
+  else if (national.startsWith("0")) national = national.slice(1);
+  return c.national.test(national) ? c.dialCode + national : null;
+}
+
+// Rounds to the currency's minor units (half away from zero); unknown currencies keep 2 decimals.
+function roundAmount(amount, currency) {
+  const decimals = CURRENCIES[String(currency || "").toUpperCase()]?.decimals ?? 2;
+  const f = 10 ** decimals;
+  const n = Number(amount);
+  return (Math.sign(n) * Math.round((Math.abs(n) + Number.EPSILON) * f)) / f;
+}
+
+// WITHDRAW_REVIEW_ABOVE_<CUR> overrides the table; unknown currencies always need review.
+function reviewThreshold(currency) {
+  const cur = String(currency || DEFAULT_CURRENCY).toUpperCase();
+  const override = Number(WITHDRAW_REVIEW_ABOVE[cur]);
+  if (Number.isFinite(override) && override >= 0) return override;
+  return CURRENCIES[cur]?.reviewAbove ?? 0;
+}
+
+module.exports = {
+  COUNTRIES,
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+  getCountry,
+  countryForCurrency,
+  resolveCountry,
+  normalizeMsisdn,
+  roundAmount,
+  reviewThreshold,
+};
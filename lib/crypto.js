@@ -0,0 +1,21 @@
+// lib/crypto.js — small crypto helpers shared by auth and payment providers
+const crypto = require("crypto");
+
+// PHP openssl_encrypt(txRef, 'aes-256-ecb', secret_key)
+function aes256EcbBase64(plainText, secretKeyUtf8) {
+  let key = Buffer.from(secretKeyUtf8, "utf8");
+  if (key.length !== 32) key = crypto.createHash("sha256").update(key).digest();
+  const cipher = crypto.createCipheriv("aes-256-ecb", key, null);
+  cipher.setAutoPadding(true);
+  const enc = Buffer.concat([cipher.update(plainText, "utf8"), cipher.final()]);
+  return enc.toString("base64");
+}
+
+// Constant-time string comparison (length mismatch returns early, which leaks only length).
+function safeEqual(a, b) {
+  const ab = Buffer.from(String(a || ""), "utf8");
+  const bb = Buffer.from(String(b || ""), "utf8");
+  return ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+}
+
+module.exports = { aes256EcbBase64, safeEqual };
@@ -0,0 +1,59 @@
+// lib/email-templates.js — transactional email templates (subject, text, html)
+const escapeHtml = (s) =>
+  String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+const { DEFAULT_CURRENCY } = require("./countries");
+
+const money = (n, currency) => `${currency || DEFAULT_CURRENCY} ${Number(n || 0).toLocaleString("en-US")}`;
+
+// Each template returns { subject, lines }; lines become paragraphs in the HTML body.
+const TEMPLATES = {
+  deposit_confirmed: (d) => ({
+    subject: "Deposit confirmed",
+    lines: [
+      `We received your deposit of ${money(d.amount, d.currency)}.`,
+      `Your stake of ${money(d.principal, d.currency)} is active for ${d.totalDays} days.`,
+      `Reference: ${d.txRef}`,
+    ],
+  }),
+  stake_completed: (d) => ({
+    subject: "Your stake has completed",
+    lines: [
+      `Stake ${d.stakeId} of ${money(d.principal, d.currency)} has completed.`,
+      `Total earned: ${money(d.earned, d.currency)}. Your returns are available in your wallet.`,
+    ],
+  }),
+  withdrawal_approved: (d) => ({
+    subject: "Withdrawal sent",
+    lines: [`Your withdrawal of ${money(d.amount, d.currency)} to ${d.phone} has been paid.`, `Reference: ${d.withdrawalId}`],
+  }),
+  withdrawal_failed: (d) => ({
+    subject: "Withdrawal failed",
+    lines: [
+      `Your withdrawal of ${money(d.amount, d.currency)} could not be completed${d.reason ? `: ${d.reason}` : "."}`,
+      "The amount has been returned to your wallet.",
+      `Reference: ${d.withdrawalId}`,
+    ],
+  }),
+  payment_confirmed: (d) => ({
+    subject: `Payment confirmed — ${d.package}`,
+    lines: [
+      `We received your payment of ${money(d.amount, d.currency)} for the ${d.package} package.`,
+      ...(d.expiresAt ? [`Your subscription is active until ${String(d.expiresAt).slice(0, 10)}.`] : []),
+      `Reference: ${d.txRef}`,
+    ],
+  }),
+};
+
+function renderEmail(template, data = {}) {
+  const build = TEMPLATES[template];
+  if (!build) throw new Error(`Unknown email template ${template}`);
+  const { subject, lines } = build(data);
+  const footer = "You can turn off these emails in your account settings.";
+  return {
+    subject,
+    text: [...lines, "", footer].join("\n"),
+    html: `${lines.map((l) => `<p>${escapeHtml(l)}</p>`).join("")}<p style="color:#888;font-size:12px">${escapeHtml(footer)}</p>`,
+  };
+}
+
+module.exports = { renderEmail, TEMPLATES };
@@ -0,0 +1,43 @@
+// lib/errors.js — one error response shape for every route
+// { success: false, code, error, messages: [error], details? }
+// `error` (string) keeps OBlinks/admin clients working and `messages` keeps MoneyGamez clients
+// working; `code` is the stable, machine-readable part.
+
+class HttpError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Generic codes for services that report only an HTTP status ({ error, code: 409 }).
+const STATUS_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHENTICATED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  422: "UNPROCESSABLE",
+  429: "RATE_LIMITED",
+  502: "PROVIDER_ERROR",
+};
+const codeForStatus = (status) => STATUS_CODES[status] || (status >= 500 ? "INTERNAL" : "BAD_REQUEST");
+
+function errorBody(code, message, details) {
+  return {
+    success: false,
+    code,
+    error: message,
+    messages: [message],
+    ...(details !== undefined ? { details } : {}),
+  };
+}
+
+function sendError(res, status, code, message, details) {
+  return res.status(status).json(errorBody(code, message, details));
+}
+
+module.exports = { HttpError, errorBody, sendError, codeForStatus };
@@ -0,0 +1,35 @@
+// lib/firebase.js — Firebase Admin bootstrap (service account from /etc/secrets on Render)
+const fs = require("fs");
+const path = require("path");
+const admin = require("firebase-admin");
+const { createLogger } = require("./logger");
+
+const log = createLogger({ module: "firebase" });
+
+function resolveServiceAccountPath() {
+  if (process.env.FIREBASE_ADMIN_PATH) return process.env.FIREBASE_ADMIN_PATH;
+  const dir = "/etc/secrets";
+  try {
+    const files = fs.readdirSync(dir).filter((f) => f.toLowerCase().endsWith(".json"));
+    if (files.length) return path.join(dir, files[0]);
+  } catch (_) {}
+  return "/etc/secrets/firebase-admin.json";
+}
+function loadServiceAccount(p) {
+  const full = path.resolve(p);
+  const raw = fs.readFileSync(full, "utf8");
+  const parsed = JSON.parse(raw);
+  log.info("Loaded Firebase service account", { path: full });
+  return parsed;
+}
+
+function initFirebase() {
+  if (!admin.apps.length) {
+    admin.initializeApp({
+      credential: admin.credential.cert(loadServiceAccount(resolveServiceAccountPath())),
+    });
+  }
+  return { db: admin.firestore(), auth: admin.auth() };
+}
+
+module.exports = { initFirebase };
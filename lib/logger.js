@@ -0,0 +1,96 @@
+// lib/logger.js — structured JSON logs with levels, request context and PII redaction
+// One JSON object per line: { time, level, msg, module, requestId?, txRef?, ...fields }.
+// Context (requestId, txRef, job) rides on AsyncLocalStorage, so code deep in a service logs it
+// without the caller passing it down. LOG_LEVEL=debug|info|warn|error (default info).
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const storage = new AsyncLocalStorage();
+
+/* ─────────────── Context ─────────────── */
+// Runs fn with `fields` added to the current context (nested calls inherit and may override).
+function runWithContext(fields, fn) {
+  return storage.run({ ...(storage.getStore() || {}), ...fields }, fn);
+}
+
+// Adds fields to the current context for the rest of this request/job (no-op outside one).
+function addContext(fields) {
+  const store = storage.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+const currentContext = () => storage.getStore() || {};
+
+/* ─────────────── Redaction ─────────────── */
+const SECRET_KEY = /(^|_)(hash|secure_hash|secrete_hash|signature|token|authorization|password|secret|encryption_key|key)$/i;
+const PHONE_KEY = /^(phone|msisdn|account|payoutPhone|depositPhones)$/i;
+const EMAIL_KEY = /email/i;
+const EMAIL_IN_TEXT = /([^\s@"'<>(),:;]{1,64})@([^\s@"'<>(),:;]+\.[^\s@"'<>(),:;]+)/g;
+
+const maskPhone = (v) => {
+  const s = String(v);
+  return s.length <= 4 ? "***" : `${"*".repeat(s.length - 3)}${s.slice(-3)}`;
+};
+const maskEmail = (s) => String(s).replace(EMAIL_IN_TEXT, (_m, user, domain) => `${user[0]}***@${domain}`);
+
+function redact(value, key = "", depth = 0, seen = new WeakSet()) {
+  if (value === null || value === undefined) return value;
+  if (SECRET_KEY.test(key) && typeof value !== "object") return "[REDACTED]";
+  if (Array.isArray(value)) return depth > 6 ? "[…]" : value.map((v) => redact(v, key, depth + 1, seen));
+  if (value instanceof Error) return redact(serializeError(value), key, depth, seen);
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") {
+    if (typeof value.toDate === "function") return value.toDate().toISOString(); // Firestore Timestamp
+    if (seen.has(value) || depth > 6) return "[…]";
+    seen.add(value);
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = redact(v, k, depth + 1, seen);
+    return out;
+  }
+  if (PHONE_KEY.test(key)) return maskPhone(value);
+  if (typeof value === "string") return EMAIL_KEY.test(key) || value.includes("@") ? maskEmail(value) : value;
+  return value;
+}
+
+// Axios errors carry request config (headers with credentials); keep only what helps debugging.
+function serializeError(e) {
+  return {
+    name: e.name,
+    message: e.message,
+    ...(e.code ? { code: e.code } : {}),
+    ...(e.response ? { status: e.response.status, response: e.response.data } : {}),
+    ...(LEVELS[process.env.LOG_LEVEL] === LEVELS.debug && e.stack ? { stack: e.stack } : {}),
+  };
+}
+
+/* ─────────────── Logger ─────────────── */
+const CONSOLE = { debug: "log", info: "log", warn: "warn", error: "error" };
+
+/**
+ * bindings: fields on every line (e.g. { module: "payouts" }).
+ * Each method is (msg, fields?) — pass an Error as `fields.err`.
+ */
+function createLogger(bindings = {}) {
+  const write = (level, msg, fields) => {
+    const threshold = LEVELS[String(process.env.LOG_LEVEL || "info").toLowerCase()] ?? LEVELS.info;
+    if (LEVELS[level] < threshold) return;
+    const entry = redact({
+      time: new Date().toISOString(),
+      level,
+      msg: String(msg),
+      ...bindings,
+      ...currentContext(),
+      ...(fields || {}),
+    });
+    console[CONSOLE[level]](JSON.stringify(entry));
+  };
+  return {
+    debug: (msg, fields) => write("debug", msg, fields),
+    info: (msg, fields) => write("info", msg, fields),
+    warn: (msg, fields) => write("warn", msg, fields),
+    error: (msg, fields) => write("error", msg, fields),
+    child: (more) => createLogger({ ...bindings, ...more }),
+  };
+}
+
+module.exports = { createLogger, runWithContext, addContext, currentContext, redact, maskPhone, maskEmail };
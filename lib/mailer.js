@@ -0,0 +1,23 @@
+// lib/mailer.js — outbound email transport
+const nodemailer = require("nodemailer");
+
+/* ─────────────── Email (Gmail | SMTP | JSON) ─────────────── */
+// MAIL_TRANSPORT=smtp with SMTP_URL points at a local sink (e.g. smtp://localhost:1025);
+// MAIL_TRANSPORT=json renders messages without sending them (tests, dry runs).
+function createMailer({ transport = process.env.MAIL_TRANSPORT || "gmail" } = {}) {
+  switch (String(transport).toLowerCase()) {
+    case "json":
+      return nodemailer.createTransport({ jsonTransport: true });
+    case "smtp":
+      return nodemailer.createTransport(process.env.SMTP_URL || "smtp://localhost:1025");
+    default:
+      return nodemailer.createTransport({
+        service: "gmail",
+        auth: { user: process.env.GMAIL_USER, pass: process.env.GMAIL_PASS },
+      });
+  }
+}
+
+const MAIL_FROM = process.env.MAIL_FROM || process.env.GMAIL_USER || "OBlinks <noreply@oblinks.app>";
+
+module.exports = { createMailer, MAIL_FROM };
@@ -0,0 +1,165 @@
+// lib/metrics.js — Prometheus counters, gauges and histograms (text exposition format 0.0.4)
+// One process-wide registry, like the logger: code records where the event happens and
+// GET /metrics renders everything. Label values must stay low-cardinality (no ids, no txRefs).
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+const formatLabels = (labels) => {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+};
+const formatValue = (v) => (v === Infinity ? "+Inf" : String(v));
+
+function createRegistry() {
+  const metrics = new Map();
+
+  function register(name, help, type, labelNames, series) {
+    if (metrics.has(name)) throw new Error(`Metric ${name} already registered`);
+    const key = (labels = {}) => JSON.stringify(labelNames.map((l) => (labels[l] === undefined ? "" : String(labels[l]))));
+    const labelsOf = (k) => Object.fromEntries(JSON.parse(k).map((v, i) => [labelNames[i], v]));
+    const metric = { name, help, type, key, labelsOf, series };
+    metrics.set(name, metric);
+    return metric;
+  }
+
+  function counter({ name, help, labelNames = [] }) {
+    const m = register(name, help, "counter", labelNames, new Map());
+    return {
+      inc(labels = {}, by = 1) {
+        if (!(by >= 0)) return;
+        const k = m.key(labels);
+        m.series.set(k, (m.series.get(k) || 0) + by);
+      },
+      get: (labels = {}) => m.series.get(m.key(labels)) || 0,
+    };
+  }
+
+  function gauge({ name, help, labelNames = [] }) {
+    const m = register(name, help, "gauge", labelNames, new Map());
+    return {
+      set: (labels, value) => m.series.set(m.key(labels), Number(value)),
+      get: (labels = {}) => m.series.get(m.key(labels)),
+    };
+  }
+
+  function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const m = register(name, help, "histogram", labelNames, new Map());
+    m.buckets = [...buckets].sort((a, b) => a - b);
+    const observe = (labels = {}, value) => {
+      const k = m.key(labels);
+      let s = m.series.get(k);
+      if (!s) {
+        s = { counts: m.buckets.map(() => 0), sum: 0, count: 0 };
+        m.series.set(k, s);
+      }
+      m.buckets.forEach((b, i) => {
+        if (value <= b) s.counts[i] += 1;
+      });
+      s.sum += value;
+      s.count += 1;
+    };
+    return {
+      observe,
+      // Times fn (sync or async) in seconds; `outcome(result, error)` can add labels after the fact.
+      async time(labels, fn, outcome) {
+        const started = process.hrtime.bigint();
+        const seconds = () => Number(process.hrtime.bigint() - started) / 1e9;
+        try {
+          const result = await fn();
+          observe({ ...labels, ...(outcome ? outcome(result, null) : {}) }, seconds());
+          return result;
+        } catch (e) {
+          observe({ ...labels, ...(outcome ? outcome(null, e) : {}) }, seconds());
+          throw e;
+        }
+      },
+      get: (labels = {}) => m.series.get(m.key(labels)),
+    };
+  }
+
+  function render() {
+    const out = [];
+    for (const m of metrics.values()) {
+      out.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+      for (const [k, v] of m.series) {
+        const labels = m.labelsOf(k);
+        if (m.type !== "histogram") {
+          out.push(`${m.name}${formatLabels(labels)} ${formatValue(v)}`);
+          continue;
+        }
+        m.buckets.forEach((b, i) => out.push(`${m.name}_bucket${formatLabels({ ...labels, le: b })} ${v.counts[i]}`));
+        out.push(`${m.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${v.count}`);
+        out.push(`${m.name}_sum${formatLabels(labels)} ${v.sum}`, `${m.name}_count${formatLabels(labels)} ${v.count}`);
+      }
+    }
+    return `${out.join("\n")}\n`;
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+/* ─────────────── Application metrics ─────────────── */
+const registry = createRegistry();
+
+const metrics = {
+  httpRequests: registry.histogram({
+    name: "oblinks_http_request_duration_seconds",
+    help: "HTTP request latency by route and status code",
+    labelNames: ["method", "route", "status"],
+  }),
+  providerCalls: registry.histogram({
+    name: "oblinks_provider_call_duration_seconds",
+    help: "Payment provider call latency by operation and outcome (ok, rejected, error)",
+    labelNames: ["provider", "op", "outcome"],
+  }),
+  providerCircuit: registry.gauge({
+    name: "oblinks_provider_circuit_state",
+    help: "Provider circuit breaker state (0 closed, 1 half-open, 2 open)",
+    labelNames: ["provider"],
+  }),
+  ipns: registry.counter({
+    name: "oblinks_ipn_total",
+    help: "IPNs by result (received, verified, rejected, duplicate, processed, failed)",
+    labelNames: ["result"],
+  }),
+  depositsCredited: registry.counter({
+    name: "oblinks_deposits_credited_total",
+    help: "Deposits credited to a stake",
+    labelNames: ["currency"],
+  }),
+  depositsCreditedAmount: registry.counter({
+    name: "oblinks_deposits_credited_amount_total",
+    help: "Gross amount of credited deposits",
+    labelNames: ["currency"],
+  }),
+  payouts: registry.counter({
+    name: "oblinks_payouts_total",
+    help: "Payout attempts by outcome (submitted, failed, retry)",
+    labelNames: ["currency", "outcome"],
+  }),
+  payoutsAmount: registry.counter({
+    name: "oblinks_payouts_submitted_amount_total",
+    help: "Amount of payouts accepted by the provider",
+    labelNames: ["currency"],
+  }),
+  dailyReturnsDuration: registry.histogram({
+    name: "oblinks_daily_returns_duration_seconds",
+    help: "runDailyReturns wall time",
+    buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1800],
+  }),
+  dailyReturnsStakes: registry.counter({
+    name: "oblinks_daily_returns_stakes_total",
+    help: "Stakes accrued by runDailyReturns",
+  }),
+  dailyReturnsPaid: registry.counter({
+    name: "oblinks_daily_returns_paid_amount_total",
+    help: "Amount accrued into returns wallets by runDailyReturns",
+  }),
+  dailyReturnsLastSuccess: registry.gauge({
+    name: "oblinks_daily_returns_last_success_timestamp_seconds",
+    help: "Unix time of the last completed runDailyReturns in this process",
+  }),
+};
+
+module.exports = { createRegistry, registry, metrics };
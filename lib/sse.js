@@ -0,0 +1,49 @@
+// lib/sse.js — Server-Sent Events (text/event-stream) responses
+const RETRY_MS = 3000; // EventSource reconnect delay after a dropped connection
+
+/**
+ * Turns res into an event stream. send(event, data) writes one JSON event; a comment line every
+ * heartbeatMs keeps proxies and load balancers from dropping an idle connection, and the stream
+ * ends by itself after maxMs. onClose runs once, whether the server or the client closes it.
+ */
+function openEventStream(res, { heartbeatMs, maxMs, onClose }) {
+  res.status(200).set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // nginx-style proxies: don't buffer the stream
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  let closed = false;
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), heartbeatMs);
+  const expiry = setTimeout(() => {
+    send("timeout", { afterMs: maxMs });
+    close();
+  }, maxMs);
+
+  function send(event, data) {
+    if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    if (onClose) onClose();
+    res.end();
+  }
+
+  res.on("close", close);
+  return {
+    send,
+    close,
+    get closed() {
+      return closed;
+    },
+  };
+}
+
+module.exports = { openEventStream };
@@ -0,0 +1,24 @@
+// lib/util.js — small shared helpers
+const { DateTime } = require("luxon");
+
+const asyncRoute =
+  (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+const digitsOnly = (s) => String(s || "").replace(/\D+/g, "");
+const round2 = (n) => Math.round((Number(n) + Number.EPSILON) * 100) / 100;
+const isSuccess = (s) =>
+  ["successful", "success", "completed", "approved", "paid"].includes(
+    String(s || "").toLowerCase()
+  );
+const isFailure = (s) =>
+  ["failed", "failure", "declined", "rejected", "cancelled", "canceled", "expired", "error"].includes(
+    String(s || "").toLowerCase()
+  );
+// A collection the provider took back after reporting it successful (chargeback).
+const isReversal = (s) =>
+  ["reversed", "reversal", "chargeback", "charged_back", "refunded"].includes(String(s || "").toLowerCase());
+
+// "YYYY-MM-DD" of `date` as seen in `tz` — the calendar day a TZ-scheduled cron fired on.
+const dayKeyIn = (tz, date = new Date()) => DateTime.fromJSDate(date).setZone(tz).toISODate();
+
+module.exports = { asyncRoute, digitsOnly, round2, isSuccess, isFailure, isReversal, dayKeyIn };
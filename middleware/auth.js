@@ -0,0 +1,88 @@
+// middleware/auth.js — Firebase ID tokens for users, admin claim or signed service key for operators
+const crypto = require("crypto");
+const { SERVICE_KEY, SERVICE_SIG_MAX_SKEW_SEC } = require("../config");
+const { safeEqual } = require("../lib/crypto");
+const { asyncRoute } = require("../lib/util");
+const { sendError } = require("../lib/errors");
+const { createLogger } = require("../lib/logger");
+
+const log = createLogger({ module: "auth" });
+
+function bearerToken(req) {
+  const m = String(req.headers.authorization || "").match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : "";
+}
+
+// X-Service-Timestamp: unix seconds
+// X-Service-Signature: hex HMAC-SHA256(SERVICE_KEY, `${ts}.${METHOD}.${originalUrl}.${rawBody}`)
+function serviceSignatureFor(ts, req) {
+  const body = req.rawBody ? req.rawBody.toString("utf8") : "";
+  return crypto
+    .createHmac("sha256", SERVICE_KEY)
+    .update(`${ts}.${req.method.toUpperCase()}.${req.originalUrl}.${body}`)
+    .digest("hex");
+}
+
+function checkServiceSignature(req) {
+  const ts = String(req.get("x-service-timestamp") || "");
+  const sig = String(req.get("x-service-signature") || "");
+  if (!SERVICE_KEY) return { ok: false, reason: "Service key auth not configured" };
+  if (!/^\d+$/.test(ts) || !sig) return { ok: false, reason: "Malformed service signature" };
+  const skew = Math.abs(Math.floor(Date.now() / 1000) - Number(ts));
+  if (skew > SERVICE_SIG_MAX_SKEW_SEC) return { ok: false, reason: "Service signature expired" };
+  if (!safeEqual(serviceSignatureFor(ts, req), sig)) return { ok: false, reason: "Invalid service signature" };
+  return { ok: true };
+}
+
+// auth: anything with verifyIdToken(token) (admin.auth() in production).
+function createAuthMiddleware({ auth }) {
+  async function verifyBearer(req, res) {
+    const token = bearerToken(req);
+    if (!token) {
+      sendError(res, 401, "UNAUTHENTICATED", "Missing bearer token");
+      return null;
+    }
+    try {
+      return await auth.verifyIdToken(token);
+    } catch (e) {
+      log.warn("ID token rejected", { reason: e.code || e.message });
+      sendError(res, 401, "UNAUTHENTICATED", "Invalid or expired token");
+      return null;
+    }
+  }
+
+  // Any signed-in Firebase user; route handlers check ownership against req.user.
+  const requireUser = asyncRoute(async (req, res, next) => {
+    const decoded = await verifyBearer(req, res);
+    if (!decoded) return;
+    req.user = decoded;
+    next();
+  });
+
+  // Admins (custom claim `admin: true`) or trusted services holding SERVICE_KEY.
+  const requireOperator = asyncRoute(async (req, res, next) => {
+    if (req.get("x-service-signature")) {
+      const check = checkServiceSignature(req);
+      if (!check.ok) {
+        log.warn("Service auth rejected", { reason: check.reason, method: req.method, path: req.path });
+        return sendError(res, 401, "UNAUTHENTICATED", check.reason);
+      }
+      req.operator = { type: "service" };
+      return next();
+    }
+
+    const decoded = await verifyBearer(req, res);
+    if (!decoded) return;
+    if (decoded.admin !== true) {
+      log.warn("Operator route denied", { uid: decoded.uid, path: req.path });
+      return sendError(res, 403, "FORBIDDEN", "Admin privileges required");
+    }
+    req.user = decoded;
+    req.operator = { type: "admin", uid: decoded.uid };
+    next();
+  });
+
+  return { requireUser, requireOperator };
+}
+
+module.exports = { createAuthMiddleware, bearerToken, checkServiceSignature };
@@ -0,0 +1,84 @@
+// middleware/rate-limit.js — fixed-window rate limiting per IP or per signed-in user
+// The in-memory store is per process (fine for one web instance); the Firestore store shares
+// counters across instances at the cost of one transaction per request.
+const admin = require("firebase-admin");
+const { sendError } = require("../lib/errors");
+const { createLogger } = require("../lib/logger");
+
+const log = createLogger({ module: "rate-limit" });
+
+/* ─────────────── Stores: hit(key, windowMs, now) → { count, resetAt } ─────────────── */
+function createMemoryStore() {
+  const windows = new Map();
+  let lastSweep = 0;
+  return {
+    async hit(key, windowMs, now) {
+      // Drop expired windows now and then so the map doesn't grow with every IP ever seen.
+      if (now - lastSweep > windowMs) {
+        for (const [k, w] of windows) if (w.resetAt <= now) windows.delete(k);
+        lastSweep = now;
+      }
+      let w = windows.get(key);
+      if (!w || w.resetAt <= now) {
+        w = { count: 0, resetAt: Math.floor(now / windowMs) * windowMs + windowMs };
+        windows.set(key, w);
+      }
+      w.count += 1;
+      return { count: w.count, resetAt: w.resetAt };
+    },
+  };
+}
+
+// rate_limits/{key}__{windowStart}; expiresAt is there for a Firestore TTL policy to clean up.
+function createFirestoreStore(db) {
+  return {
+    async hit(key, windowMs, now) {
+      const start = Math.floor(now / windowMs) * windowMs;
+      const id = `${key}__${start}`.replace(/\//g, "_").slice(0, 500);
+      const ref = db.collection("rate_limits").doc(id);
+      const count = await db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        const next = Number(snap.data()?.count || 0) + 1;
+        tx.set(ref, {
+          key,
+          count: next,
+          windowStart: start,
+          expiresAt: admin.firestore.Timestamp.fromMillis(start + windowMs),
+        });
+        return next;
+      });
+      return { count, resetAt: start + windowMs };
+    },
+  };
+}
+
+const byIp = (req) => `ip:${req.ip || req.socket?.remoteAddress || "unknown"}`;
+const byUser = (req) => (req.user?.uid ? `user:${req.user.uid}` : byIp(req));
+
+/**
+ * name: bucket name, windowMs/max: the limit, key: (req) => string (byIp | byUser),
+ * store: see above, clock: () => Date. A store failure lets the request through (fail open).
+ */
+function rateLimit({ name, windowMs, max, key = byIp, store, clock = () => new Date() }) {
+  return async (req, res, next) => {
+    let hit;
+    try {
+      hit = await store.hit(`${name}:${key(req)}`, windowMs, clock().getTime());
+    } catch (e) {
+      log.error("Rate limiter unavailable; request allowed", { limiter: name, err: e });
+      return next();
+    }
+    const retryAfter = Math.max(1, Math.ceil((hit.resetAt - clock().getTime()) / 1000));
+    res.set("RateLimit-Limit", String(max));
+    res.set("RateLimit-Remaining", String(Math.max(0, max - hit.count)));
+    res.set("RateLimit-Reset", String(retryAfter));
+    if (hit.count > max) {
+      res.set("Retry-After", String(retryAfter));
+      log.warn("Rate limited", { limiter: name, bucket: key(req) });
+      return sendError(res, 429, "RATE_LIMITED", `Too many requests; retry in ${retryAfter}s`, { retryAfter });
+    }
+    next();
+  };
+}
+
+module.exports = { rateLimit, createMemoryStore, createFirestoreStore, byIp, byUser };
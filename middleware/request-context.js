@@ -0,0 +1,42 @@
+// middleware/request-context.js — request IDs, access logs and per-request log context
+// A caller-supplied X-Request-Id is kept (so a client or load balancer can correlate), otherwise
+// one is generated; it is echoed on the response, sent to the provider and on every log line.
+const crypto = require("crypto");
+const { createLogger, runWithContext } = require("../lib/logger");
+const { metrics } = require("../lib/metrics");
+
+const log = createLogger({ module: "http" });
+const REQUEST_ID = /^[\w.:-]{1,64}$/;
+
+// First in the chain: every response, even a body-parser error, carries the id and is logged.
+function requestId(req, res, next) {
+  const given = String(req.get("x-request-id") || "");
+  req.id = REQUEST_ID.test(given) ? given : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+
+  const started = process.hrtime.bigint();
+  res.on("finish", () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    // The route pattern, not the path, so ids don't explode the label set.
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+    metrics.httpRequests.observe({ method: req.method, route, status: res.statusCode }, seconds);
+    const fields = {
+      requestId: req.id,
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      ip: req.ip,
+    };
+    if (res.statusCode >= 500) log.error("request", fields);
+    else log.info("request", fields);
+  });
+  next();
+}
+
+// After the body parsers: their stream callbacks would otherwise run outside this context.
+function bindRequestContext(req, _res, next) {
+  runWithContext({ requestId: req.id }, next);
+}
+
+module.exports = { requestId, bindRequestContext };
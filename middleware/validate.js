@@ -0,0 +1,68 @@
+// middleware/validate.js — declarative checks for req.body / req.params / req.query
+// Schema: { body?: { field: rule }, params?: {...}, query?: {...} }
+// rule: { type: "string"|"number"|"integer"|"boolean"|"email"|"enum"|"object", required?, min?, max?,
+//         minLength?, maxLength?, pattern?, values? }
+// Numbers and booleans arrive as strings in query/params (and from some clients); they're coerced.
+// Unknown fields are left alone so existing clients that send extras keep working.
+const { sendError } = require("../lib/errors");
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function checkField(value, rule) {
+  const present = value !== undefined && value !== null && value !== "";
+  if (!present) return rule.required ? { error: "is required" } : { value: undefined };
+
+  switch (rule.type || "string") {
+    case "number":
+    case "integer": {
+      const n = typeof value === "number" ? value : typeof value === "string" && value.trim() !== "" ? Number(value) : NaN;
+      if (!Number.isFinite(n)) return { error: "must be a number" };
+      if (rule.type === "integer" && !Number.isInteger(n)) return { error: "must be a whole number" };
+      if (rule.min != null && n < rule.min) return { error: `must be at least ${rule.min}` };
+      if (rule.max != null && n > rule.max) return { error: `must be at most ${rule.max}` };
+      return { value: n };
+    }
+    case "boolean":
+      if (value === true || value === "true") return { value: true };
+      if (value === false || value === "false") return { value: false };
+      return { error: "must be true or false" };
+    case "object":
+      if (typeof value !== "object" || Array.isArray(value)) return { error: "must be an object" };
+      return { value };
+    default: {
+      if (typeof value !== "string" && typeof value !== "number") return { error: "must be a string" };
+      const s = String(value).trim();
+      if (rule.minLength != null && s.length < rule.minLength) return { error: `must be at least ${rule.minLength} characters` };
+      if (rule.maxLength != null && s.length > rule.maxLength) return { error: `must be at most ${rule.maxLength} characters` };
+      if (rule.type === "email" && !EMAIL.test(s)) return { error: "must be an email address" };
+      if (rule.type === "enum" && !rule.values.includes(s)) return { error: `must be one of ${rule.values.join(", ")}` };
+      if (rule.pattern && !rule.pattern.test(s)) return { error: "has an invalid format" };
+      return { value: s };
+    }
+  }
+}
+
+function validate(schema) {
+  return (req, res, next) => {
+    const details = [];
+    for (const part of ["params", "query", "body"]) {
+      const rules = schema[part];
+      if (!rules) continue;
+      const source = req[part] && typeof req[part] === "object" ? req[part] : {};
+      if (part === "body" && (Array.isArray(req.body) || (req.body !== undefined && typeof req.body !== "object"))) {
+        details.push({ field: "body", message: "body must be a JSON object" });
+        continue;
+      }
+      for (const [field, rule] of Object.entries(rules)) {
+        const { value, error } = checkField(source[field], rule);
+        if (error) details.push({ field: `${part}.${field}`, message: `${field} ${error}` });
+        else if (value !== undefined) source[field] = value;
+      }
+      if (part === "body" && !req.body) req.body = source;
+    }
+    if (details.length) return sendError(res, 400, "VALIDATION_FAILED", details[0].message, details);
+    next();
+  };
+}
+
+module.exports = { validate };
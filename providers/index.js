@@ -0,0 +1,17 @@
+// providers/index.js — payment provider registry
+// A provider exposes: token(), collect(), payout(), status(txRef), verifyCallback(body).
+const { createSiliconPayProvider } = require("./siliconpay");
+const { createMockProvider } = require("./mock");
+
+const FACTORIES = {
+  siliconpay: createSiliconPayProvider,
+  mock: createMockProvider,
+};
+
+function createProvider(name = process.env.PAYMENT_PROVIDER || "siliconpay", opts) {
+  const factory = FACTORIES[String(name).toLowerCase()];
+  if (!factory) throw new Error(`Unknown PAYMENT_PROVIDER: ${name}`);
+  return factory(opts);
+}
+
+module.exports = { createProvider, createSiliconPayProvider, createMockProvider };
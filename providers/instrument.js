@@ -0,0 +1,24 @@
+// providers/instrument.js — latency/outcome metrics around a provider's network calls
+const { metrics } = require("../lib/metrics");
+
+// outcome: "ok", "rejected" (the provider answered but said no) or "error" (threw).
+const OUTCOMES = {
+  token: () => "ok",
+  collect: (r) => (r.httpStatus >= 200 && r.httpStatus < 300 ? "ok" : "rejected"),
+  payout: (r) => (r.accepted ? "ok" : "rejected"),
+  status: () => "ok",
+};
+
+function instrumentProvider(provider) {
+  const wrapped = { ...provider };
+  for (const [op, classify] of Object.entries(OUTCOMES)) {
+    const call = provider[op];
+    wrapped[op] = (...args) =>
+      metrics.providerCalls.time({ provider: provider.name, op }, () => call(...args), (result, err) => ({
+        outcome: err ? "error" : classify(result),
+      }));
+  }
+  return wrapped;
+}
+
+module.exports = { instrumentProvider };
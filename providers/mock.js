@@ -0,0 +1,90 @@
+// providers/mock.js — offline stand-in for SiliconPay
+// Every collect/payout "sends a prompt" and, after MOCK_IPN_DELAY_MS, POSTs a signed IPN back to
+// the callback URL with MOCK_OUTCOME (successful | failed | random). MOCK_DROP_IPN=true settles the
+// transaction without calling back, which exercises the reconciliation path.
+const axios = require("axios");
+const { aes256EcbBase64, safeEqual } = require("../lib/crypto");
+const { createLogger } = require("../lib/logger");
+const { instrumentProvider } = require("./instrument");
+
+const log = createLogger({ module: "mock-provider" });
+
+function createMockProvider(opts = {}) {
+  const env = opts.env || process.env;
+  const secretKey = String(env.SECRET_KEY || "mock-secret");
+  const delayMs = Number(opts.delayMs ?? env.MOCK_IPN_DELAY_MS ?? 3000);
+  const outcome = String(opts.outcome ?? env.MOCK_OUTCOME ?? "successful").toLowerCase();
+  const dropIpn = Boolean(opts.dropIpn ?? env.MOCK_DROP_IPN === "true");
+  const txns = new Map(); // txRef -> { kind, amount, phone, status }
+
+  const pickOutcome = () =>
+    outcome === "random" ? (Math.random() < 0.5 ? "successful" : "failed") : outcome;
+
+  function settleLater(txRef, callbackUrl) {
+    const timer = setTimeout(async () => {
+      const t = txns.get(txRef);
+      if (!t) return;
+      t.status = pickOutcome();
+      if (dropIpn) return log.info("Settled; IPN dropped", { txRef, status: t.status });
+      if (!callbackUrl) return log.warn("No callback URL; IPN not sent", { txRef });
+
+      const body = {
+        txRef,
+        status: t.status,
+        amount: t.amount,
+        msisdn: t.phone,
+        network_ref: `MOCK-${Date.now()}`,
+        secure_hash: aes256EcbBase64(txRef, secretKey),
+        ...(t.status === "failed" ? { message: "Mock provider declined" } : {}),
+      };
+      try {
+        await axios.post(callbackUrl, body, { headers: { "Content-Type": "application/json" } });
+        log.info("IPN sent", { txRef, status: t.status });
+      } catch (e) {
+        log.error("IPN delivery failed", { txRef, err: e });
+      }
+    }, delayMs);
+    if (timer.unref) timer.unref();
+  }
+
+  async function token() {
+    return "mock-token";
+  }
+
+  async function collect({ txRef, phone, amount, callbackUrl }) {
+    txns.set(txRef, { kind: "collect", amount: Number(amount), phone, status: "pending" });
+    log.info("Push prompt", { txRef, phone, amount });
+    settleLater(txRef, callbackUrl);
+    return { httpStatus: 200, data: { status: 200, message: "Mock prompt sent", txRef } };
+  }
+
+  async function payout({ txRef, phone, amount, callbackUrl }) {
+    txns.set(txRef, { kind: "payout", amount: Number(amount), phone, status: "pending" });
+    log.info("Payout", { txRef, phone, amount });
+    settleLater(txRef, callbackUrl);
+    const data = { status: 200, message: "Accepted (mock)", txRef };
+    return { accepted: true, httpStatus: 200, data, providerRef: txRef, message: data.message };
+  }
+
+  async function status(txRef) {
+    const t = txns.get(txRef);
+    return {
+      status: t?.status || null,
+      amount: t?.amount || null,
+      msisdn: t?.phone || null,
+      raw: t ? { txRef, ...t } : { message: "Unknown txRef (mock)" },
+    };
+  }
+
+  function verifyCallback(body) {
+    const { txRef, secure_hash } = body || {};
+    if (!secure_hash) return { ok: false, reason: "missing_signature" };
+    if (!safeEqual(aes256EcbBase64(String(txRef), secretKey), secure_hash))
+      return { ok: false, reason: "invalid_signature" };
+    return { ok: true };
+  }
+
+  return instrumentProvider({ name: "mock", label: "MockPay", token, collect, payout, status, verifyCallback });
+}
+
+module.exports = { createMockProvider };
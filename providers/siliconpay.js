@@ -0,0 +1,197 @@
+// providers/siliconpay.js — SiliconPay (https://silicon-pay.com) payment provider
+const axios = require("axios");
+const crypto = require("crypto");
+const { aes256EcbBase64, safeEqual } = require("../lib/crypto");
+const { createLogger, currentContext } = require("../lib/logger");
+const { createCircuitBreaker } = require("../lib/circuit-breaker");
+const { metrics } = require("../lib/metrics");
+const { instrumentProvider } = require("./instrument");
+
+const log = createLogger({ module: "siliconpay" });
+
+// Lets SiliconPay support (and their logs) be matched to ours.
+const correlate = (headers) => {
+  const { requestId } = currentContext();
+  return requestId ? { ...headers, "X-Request-Id": requestId } : headers;
+};
+
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000; // refresh this long before the token expires
+const CIRCUIT_STATES = { closed: 0, half_open: 1, open: 2 };
+
+/**
+ * opts: env (defaults to process.env), http (axios-like, injectable for tests), now: () => ms.
+ * Token lifetime: the response's expires_in when present, else SILICON_TOKEN_TTL_SEC (1800).
+ * Breaker: SILICON_BREAKER_FAILURES consecutive failures (5) open it for SILICON_BREAKER_RESET_MS (30000).
+ */
+function createSiliconPayProvider(opts = {}) {
+  const env = opts.env || process.env;
+  const http = opts.http || axios; // injectable for tests
+  const now = opts.now || Date.now;
+  const encryptionKey = String(env.ENCRYPTION_KEY || "");
+  const secretKey = String(env.SECRET_KEY || "");
+  const tokenUrl = env.SILICON_TOKEN_URL; // https://silicon-pay.com/generate_token
+  const payUrl = env.SILICON_PAY_URL; // https://silicon-pay.com/api_withdraw
+  const collectUrl = env.SILICON_COLLECT_URL?.trim() || "https://silicon-pay.com/process_payments";
+  const statusUrl = env.SILICON_STATUS_URL?.trim() || "https://silicon-pay.com/transaction_status";
+  const secreteHash = () => crypto.createHash("sha512").update(secretKey).digest("hex");
+  const tokenTtlMs = Number(env.SILICON_TOKEN_TTL_SEC || 1800) * 1000;
+
+  // Every SiliconPay call goes through one breaker: an outage fails fast instead of each
+  // queued payout waiting out the HTTP timeout.
+  const breaker = createCircuitBreaker({
+    name: "SiliconPay",
+    failureThreshold: Number(env.SILICON_BREAKER_FAILURES || 5),
+    resetAfterMs: Number(env.SILICON_BREAKER_RESET_MS || 30000),
+    onStateChange: (state) => metrics.providerCircuit.set({ provider: "siliconpay" }, CIRCUIT_STATES[state]),
+    now,
+  });
+  const get = (url, config) => breaker.call(() => http.get(url, config));
+  const post = (url, payload, config) => breaker.call(() => http.post(url, payload, config));
+
+  /* ─────────────── Bearer token cache ─────────────── */
+  let cachedToken = null; // { token, expiresAt }
+  let refreshing = null; // the one in-flight fetch every concurrent caller awaits
+
+  async function fetchToken() {
+    const headers = {
+      encryption_key: encryptionKey,
+      secrete_hash: secreteHash(),
+      "Content-Type": "application/json",
+    };
+    const { data } = await get(tokenUrl, { headers: correlate(headers) });
+    if (!data?.token) throw new Error("Token missing in SiliconPay response");
+    const ttlMs = Number(data.expires_in) > 0 ? Number(data.expires_in) * 1000 : tokenTtlMs;
+    log.info("Generated SiliconPay token", { ttlSec: Math.round(ttlMs / 1000) });
+    return { token: data.token, expiresAt: now() + ttlMs };
+  }
+
+  // Cached until shortly before expiry; `force` (after a 401) discards the cached one.
+  async function token({ force = false } = {}) {
+    if (!force && cachedToken && now() < cachedToken.expiresAt - TOKEN_REFRESH_MARGIN_MS) return cachedToken.token;
+    if (force) cachedToken = null;
+    if (!refreshing)
+      refreshing = fetchToken()
+        .then((t) => {
+          cachedToken = t;
+          return t.token;
+        })
+        .finally(() => {
+          refreshing = null;
+        });
+    return refreshing;
+  }
+
+  // Mobile-money push prompt. Resolves with the raw provider answer; throws on transport/HTTP errors.
+  async function collect({ txRef, phone, amount, email, callbackUrl, currency = "UGX", metadata }) {
+    const payload = {
+      req: "mobile_money",
+      currency,
+      phone,
+      encryption_key: encryptionKey,
+      amount: String(amount),
+      emailAddress: email,
+      call_back: callbackUrl,
+      txRef,
+      metadata,
+    };
+    const { data, status } = await post(collectUrl, payload, {
+      headers: correlate({ "Content-Type": "application/json" }),
+    });
+    log.info("Collection response", { httpStatus: status, response: data });
+    return { httpStatus: status, data };
+  }
+
+  // Mobile-money transfer. `accepted` means SiliconPay queued it; the IPN carries the final outcome.
+  // A 401 (expired or revoked token) forces one token refresh and one retry.
+  async function payout({ txRef, phone, amount, email, reason, callbackUrl, currency = "UGX", debitWallet }, opts = {}) {
+    const msg = crypto.createHash("sha256").update(encryptionKey).digest("hex") + phone;
+    const signature = crypto.createHmac("sha256", secretKey).update(msg).digest("hex");
+
+    const payload = {
+      req: "mm",
+      currency,
+      txRef,
+      encryption_key: encryptionKey,
+      amount: String(amount),
+      emailAddress: email,
+      call_back: callbackUrl,
+      phone,
+      reason,
+      // DEBIT_WALLET_<CUR> per currency; the legacy DEBIT_WALLET only ever meant the UGX wallet.
+      debit_wallet: debitWallet || env[`DEBIT_WALLET_${currency}`] || (currency === "UGX" && env.DEBIT_WALLET) || currency,
+    };
+    const headers = (bearer) => ({
+      Authorization: `Bearer ${bearer}`,
+      signature,
+      encryption_key: encryptionKey,
+      secrete_hash: secreteHash(),
+      "Content-Type": "application/json",
+    });
+    const send = (bearer) =>
+      post(payUrl, payload, { headers: correlate(headers(bearer)) }).catch((e) => {
+        if (e.response?.status === 401) return e.response;
+        throw e;
+      });
+
+    log.info("Withdraw request", {
+      txRef: payload.txRef,
+      phone: payload.phone,
+      amount: payload.amount,
+      currency,
+      debit_wallet: payload.debit_wallet,
+    });
+    let res = await send(opts.token || (await token()));
+    if (res.status === 401) {
+      log.warn("SiliconPay rejected the bearer token; refreshing and retrying once");
+      res = await send(await token({ force: true }));
+    }
+    const { data, status } = res;
+    log.info("Withdraw response", { httpStatus: status, response: data });
+
+    const msgText = String(data?.message || "").toLowerCase();
+    const okStatus = ["successful", "success", "completed", "approved", "paid"].includes(
+      String(data?.status || "").toLowerCase()
+    );
+    const accepted =
+      (status >= 200 && status < 300) &&
+      (data?.status === 200 || msgText.includes("accepted") || okStatus);
+    return { accepted, httpStatus: status, data, providerRef: data?.txRef || txRef, message: data?.message || null };
+  }
+
+  // Looks up one transaction; SiliconPay nests the status differently per product.
+  async function status(txRef) {
+    const url = `${statusUrl}/${encodeURIComponent(txRef)}`;
+    const payload = { encryption_key: encryptionKey };
+    const { data } = await post(url, payload, { headers: correlate({ "Content-Type": "application/json" }) });
+    const d = data?.data && typeof data.data === "object" ? data.data : data || {};
+    const amount = Number(d.amount ?? d.transaction_amount);
+    return {
+      status: String(d.status ?? d.transaction_status ?? "").toLowerCase() || null,
+      amount: Number.isFinite(amount) && amount > 0 ? amount : null,
+      msisdn: d.msisdn || d.phone || null,
+      raw: data,
+    };
+  }
+
+  // IPN bodies carry secure_hash = base64(aes-256-ecb(txRef, SECRET_KEY)).
+  function verifyCallback(body) {
+    const { txRef, secure_hash } = body || {};
+    if (!secure_hash) return { ok: false, reason: "missing_signature" };
+    const generated = aes256EcbBase64(String(txRef), secretKey);
+    if (!safeEqual(generated, secure_hash)) return { ok: false, reason: "invalid_signature" };
+    return { ok: true };
+  }
+
+  return instrumentProvider({
+    name: "siliconpay",
+    label: "SiliconPay",
+    token,
+    collect,
+    payout,
+    status,
+    verifyCallback,
+    circuitState: breaker.state,
+  });
+}
+
+module.exports = { createSiliconPayProvider };
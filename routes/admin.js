@@ -0,0 +1,434 @@
+// routes/admin.js — operator routes (payout sweeps, withdrawal review, risk, status lookups, reconciliation,
+// reports, jobs, webhooks)
+const express = require("express");
+const admin = require("firebase-admin");
+const { asyncRoute } = require("../lib/util");
+const { withdrawStatus, needsApproval } = require("../services/payouts");
+const { WEBHOOK_EVENTS } = require("../services/webhooks");
+const { sendError, codeForStatus } = require("../lib/errors");
+const { validate } = require("../middleware/validate");
+const { createLogger } = require("../lib/logger");
+
+const log = createLogger({ module: "admin" });
+
+const DOC_ID = { required: true, maxLength: 128, pattern: /^[^/]+$/ };
+const DAY = { pattern: /^\d{4}-\d{2}-\d{2}$/ };
+const LIST_QUERY = { limit: { type: "integer", min: 1, max: 200 }, cursor: { ...DOC_ID, required: false } };
+
+const iso = (t) => (t?.toDate ? t.toDate().toISOString() : t || null);
+
+function createAdminRouter({ db, provider, services, requireOperator }) {
+  const router = express.Router();
+  const { sendPayout, reviewWithdraw } = services.payouts;
+  const { runReconciliation } = services.reconciliation;
+  const { reverseDeposit } = services.deposits;
+  const { distributor, risk, jobs, reports, webhooks } = services;
+  const JOB_NAMES = Object.keys(jobs.JOBS);
+  const runOut = (r) => ({ ...r, startedAt: iso(r.startedAt), finishedAt: iso(r.finishedAt) });
+
+  /* ─────────────── OBlinks: Withdraws ─────────────── */
+  // POST only: a side-effecting GET could be triggered by crawlers/prefetchers.
+  router.post(
+    "/process-withdraws",
+    requireOperator,
+    asyncRoute(async (_req, res) => {
+      const snap = await db.collection("withdraws").where("status", "==", "pending").get();
+      log.info("Processing pending withdraws", { count: snap.size });
+      if (snap.empty) return res.send("No pending withdraws found.");
+      for (const doc of snap.docs) await sendPayout(doc.id);
+      res.send("All withdraws processed.");
+    })
+  );
+
+  router.post(
+    "/process-single-withdrawal",
+    requireOperator,
+    validate({ body: { withdrawalId: DOC_ID } }),
+    asyncRoute(async (req, res) => {
+      const { withdrawalId } = req.body;
+
+      const ref = db.collection("withdraws").doc(withdrawalId);
+      const snap = await ref.get();
+      if (!snap.exists) return sendError(res, 404, "NOT_FOUND", "Withdrawal not found");
+
+      const data = snap.data();
+      const current = withdrawStatus(data.status);
+      if (current !== "pending")
+        return sendError(res, 409, "INVALID_STATE", `Not pending (status: ${current})`);
+      if (needsApproval(data) && !data.approval)
+        return sendError(res, 409, "APPROVAL_REQUIRED", "Needs operator approval first");
+
+      log.info("Processing single withdrawal", { withdrawalId, by: req.operator.uid || req.operator.type });
+      const result = await sendPayout(withdrawalId);
+      if (!result.claimed)
+        return sendError(res, 409, "IN_PROGRESS", "Withdrawal is being processed by another worker");
+
+      const updated = await ref.get();
+      const finalStatus = updated.data()?.status;
+      if (["submitted", "approved"].includes(finalStatus))
+        return res.json({ success: true, message: `Withdrawal ${finalStatus}`, data: updated.data() });
+
+      return sendError(res, 502, "PROVIDER_ERROR", `Processing failed (status: ${finalStatus})`);
+    })
+  );
+
+  /* ─────────────── Admin: withdrawal review ─────────────── */
+  // Query: ?status=review&userId=&currency=&limit=50&cursor=<last withdrawal id>, newest first.
+  router.get(
+    "/admin/withdrawals",
+    requireOperator,
+    validate({
+      query: { ...LIST_QUERY, status: { maxLength: 20 }, userId: { ...DOC_ID, required: false }, currency: { pattern: /^[A-Z]{3}$/ } },
+    }),
+    asyncRoute(async (req, res) => {
+      const limit = req.query.limit || 50;
+      let q = db.collection("withdraws");
+      for (const field of ["status", "userId", "currency"]) if (req.query[field]) q = q.where(field, "==", req.query[field]);
+      q = q.orderBy("createdAt", "desc").limit(limit);
+
+      if (req.query.cursor) {
+        const cur = await db.collection("withdraws").doc(String(req.query.cursor)).get();
+        if (!cur.exists) return sendError(res, 400, "INVALID_CURSOR", "Invalid cursor");
+        q = q.startAfter(cur);
+      }
+
+      const snap = await q.get();
+      const data = snap.docs.map((d) => {
+        const w = d.data() || {};
+        return {
+          id: d.id,
+          userId: w.userId || null,
+          amount: w.amount,
+          currency: w.currency || null,
+          phone: w.phone || null,
+          status: withdrawStatus(w.status),
+          needsApproval: needsApproval(w),
+          approval: w.approval || null,
+          rejection: w.rejection || null,
+          onHold: w.onHold || null,
+          errorMessage: w.errorMessage || null,
+          createdAt: iso(w.createdAt),
+          updatedAt: iso(w.updatedAt),
+        };
+      });
+      const nextCursor = snap.size === limit ? snap.docs[snap.docs.length - 1].id : null;
+      res.json({ success: true, data, nextCursor });
+    })
+  );
+
+  // Body: { reason? , payNow? } — reject requires a reason; approve with payNow pays immediately.
+  router.post(
+    "/admin/withdrawals/:id/:action(approve|reject|hold)",
+    requireOperator,
+    validate({ params: { id: DOC_ID }, body: { reason: { maxLength: 200 }, payNow: { type: "boolean" } } }),
+    asyncRoute(async (req, res) => {
+      const { id, action } = req.params;
+      const reason = req.body.reason || null;
+      if (action === "reject" && !reason)
+        return sendError(res, 400, "VALIDATION_FAILED", "reason is required", [
+          { field: "body.reason", message: "reason is required" },
+        ]);
+
+      const by = req.operator.uid || req.operator.type;
+      const result = await reviewWithdraw(id, action, { by, reason });
+      if (result.error) return sendError(res, result.code, codeForStatus(result.code), result.error);
+
+      if (action === "approve" && req.body.payNow === true) {
+        const payout = await sendPayout(id);
+        return res.json({ success: true, status: payout.status || result.status });
+      }
+      res.json({ success: true, status: result.status });
+    })
+  );
+
+  /* ─────────────── Admin: risk limits & events ─────────────── */
+  router.get(
+    "/admin/risk/limits",
+    requireOperator,
+    asyncRoute(async (_req, res) => {
+      res.json({ success: true, data: await risk.getLimits({ fresh: true }) });
+    })
+  );
+
+  // Body: partial limits, merged into config/risk_limits (e.g. { currencies: { UGX: { withdrawal: { max: 1000000 } } } }).
+  router.put(
+    "/admin/risk/limits",
+    requireOperator,
+    validate({ body: { currencies: { type: "object" } } }),
+    asyncRoute(async (req, res) => {
+      const patch = req.body;
+      const by = req.operator.uid || req.operator.type;
+      log.info("Risk limits updated", { by, patch });
+      res.json({ success: true, data: await risk.updateLimits(patch, by) });
+    })
+  );
+
+  // Query: ?reviewed=false&limit=50, newest first.
+  router.get(
+    "/admin/risk/events",
+    requireOperator,
+    validate({ query: { limit: LIST_QUERY.limit, reviewed: { type: "boolean" } } }),
+    asyncRoute(async (req, res) => {
+      const limit = req.query.limit || 50;
+      let q = db.collection("risk_events");
+      if (req.query.reviewed !== undefined) q = q.where("reviewed", "==", req.query.reviewed);
+      const snap = await q.orderBy("createdAt", "desc").limit(limit).get();
+      res.json({
+        success: true,
+        data: snap.docs.map((d) => ({ id: d.id, ...d.data(), createdAt: iso(d.data().createdAt) })),
+      });
+    })
+  );
+
+  router.post(
+    "/admin/risk/events/:id/review",
+    requireOperator,
+    validate({ params: { id: DOC_ID }, body: { note: { maxLength: 500 } } }),
+    asyncRoute(async (req, res) => {
+      const ref = db.collection("risk_events").doc(req.params.id);
+      if (!(await ref.get()).exists) return sendError(res, 404, "NOT_FOUND", "Risk event not found");
+      await ref.update({
+        reviewed: true,
+        reviewedBy: req.operator.uid || req.operator.type,
+        reviewNote: req.body.note || null,
+        reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      res.json({ success: true });
+    })
+  );
+
+  /* ─────────────── Transfer Status helper ─────────────── */
+  router.post(
+    "/transfer-status",
+    requireOperator,
+    validate({ body: { txRef: { required: true, maxLength: 200 } } }),
+    asyncRoute(async (req, res) => {
+      const { txRef } = req.body;
+      const { raw } = await provider.status(txRef);
+      res.json(raw);
+    })
+  );
+
+  /* ─────────────── Admin: reconciliation ─────────────── */
+  router.post(
+    "/admin/reconcile",
+    requireOperator,
+    asyncRoute(async (_req, res) => {
+      res.json(await runReconciliation());
+    })
+  );
+
+  /* ─────────────── Admin: deposit reversals ─────────────── */
+  // Chargeback of a credited deposit; see services/deposits.reverseDeposit. Body: { reason }.
+  router.post(
+    "/admin/deposits/:txRef/reverse",
+    requireOperator,
+    validate({ params: { txRef: DOC_ID }, body: { reason: { required: true, maxLength: 200 } } }),
+    asyncRoute(async (req, res) => {
+      const by = req.operator.uid || req.operator.type;
+      const result = await reverseDeposit(req.params.txRef, { reason: req.body.reason, by });
+      if (result.error)
+        return sendError(res, result.code, result.code === 409 ? "INVALID_STATE" : codeForStatus(result.code), result.error);
+      log.info("Deposit reversed by operator", { txRef: req.params.txRef, by });
+      res.json({ success: true, data: result.reversal });
+    })
+  );
+
+  /* ─────────────── Admin: financial reports ─────────────── */
+  // Query: ?from=2026-04-01&to=2026-04-30 (days in TZ, inclusive)&format=json|csv.
+  // CSV is streamed a day at a time, one row per currency with activity.
+  router.get(
+    "/admin/reports/daily",
+    requireOperator,
+    validate({
+      query: {
+        from: { ...DAY, required: true },
+        to: { ...DAY, required: true },
+        format: { type: "enum", values: ["json", "csv"] },
+      },
+    }),
+    asyncRoute(async (req, res) => {
+      const { from, to, format = "json" } = req.query;
+      const bad = reports.checkRange(from, to);
+      if (bad) return sendError(res, bad.code, codeForStatus(bad.code), bad.error);
+      if (format === "json") return res.json({ success: true, data: await reports.getReport(from, to) });
+
+      res.set({
+        "Content-Type": "text/csv; charset=utf-8",
+        "Content-Disposition": `attachment; filename="oblinks-report-${from}-to-${to}.csv"`,
+      });
+      res.write(reports.csvHeader());
+      try {
+        for await (const day of reports.reportDays(from, to)) res.write(reports.csvRows(day));
+        res.end();
+      } catch (err) {
+        // Headers are gone: cut the stream so the client sees a truncated download, not a short "complete" one.
+        log.error("Report export failed", { from, to, err });
+        res.destroy(err);
+      }
+    })
+  );
+
+  /* ─────────────── Admin: scheduled jobs ─────────────── */
+  // Query: ?job=dailyReturns&status=failed&limit=50, newest first.
+  router.get(
+    "/admin/jobs/runs",
+    requireOperator,
+    validate({
+      query: {
+        job: { type: "enum", values: JOB_NAMES },
+        status: { type: "enum", values: ["running", "succeeded", "failed", "abandoned"] },
+        limit: LIST_QUERY.limit,
+      },
+    }),
+    asyncRoute(async (req, res) => {
+      const { job, status, limit = 50 } = req.query;
+      res.json({ success: true, data: (await jobs.listRuns({ job, status, limit })).map(runOut) });
+    })
+  );
+
+  router.get(
+    "/admin/jobs/runs/:id",
+    requireOperator,
+    validate({ params: { id: DOC_ID } }),
+    asyncRoute(async (req, res) => {
+      const run = await jobs.getRun(req.params.id);
+      if (!run) return sendError(res, 404, "NOT_FOUND", "Job run not found");
+      res.json({ success: true, data: runOut(run) });
+    })
+  );
+
+  // Starts the job and answers 202 with its runId; poll /admin/jobs/runs/:id for the outcome.
+  // Body: { date: "YYYY-MM-DD" } re-runs a daily job for that day (already-paid stakes are skipped).
+  router.post(
+    "/admin/jobs/:job/run",
+    requireOperator,
+    validate({
+      params: { job: { type: "enum", values: JOB_NAMES, required: true } },
+      body: { date: DAY },
+    }),
+    asyncRoute(async (req, res) => {
+      const by = req.operator.uid || req.operator.type;
+      const r = await jobs.startRun(req.params.job, { trigger: "manual", date: req.body.date, by });
+      if (r.error) return sendError(res, r.code, codeForStatus(r.code), r.error);
+      if (!r.started) return sendError(res, 409, "JOB_RUNNING", "Job is already running", { runId: r.runId, heldBy: r.heldBy });
+      log.info("Job started by hand", { job: req.params.job, runId: r.runId, by, date: req.body.date || null });
+      res.status(202).json({ success: true, runId: r.runId });
+    })
+  );
+
+  /* ─────────────── Admin: webhooks ─────────────── */
+  // Body: { url: "https://…", events: ["deposit.credited", …] or ["*"], description? }.
+  // The signing secret is in this response only; store it on the receiving side.
+  router.post(
+    "/admin/webhooks",
+    requireOperator,
+    validate({ body: { url: { required: true, maxLength: 500, pattern: /^https:\/\/[^\s]+$/ }, description: { maxLength: 200 } } }),
+    asyncRoute(async (req, res) => {
+      const { events } = req.body;
+      const valid = Array.isArray(events) && events.length > 0 && events.every((e) => e === "*" || WEBHOOK_EVENTS.includes(e));
+      if (!valid)
+        return sendError(res, 400, "VALIDATION_FAILED", `events must be a list of ${WEBHOOK_EVENTS.join(", ")} or "*"`, [
+          { field: "body.events", message: "events has an invalid value" },
+        ]);
+      const by = req.operator.uid || req.operator.type;
+      const endpoint = await webhooks.createEndpoint({ url: req.body.url, events: [...new Set(events)], description: req.body.description, by });
+      res.status(201).json({ success: true, data: endpoint });
+    })
+  );
+
+  router.get(
+    "/admin/webhooks",
+    requireOperator,
+    asyncRoute(async (_req, res) => {
+      const endpoints = await webhooks.listEndpoints();
+      res.json({ success: true, data: endpoints.map((e) => ({ ...e, createdAt: iso(e.createdAt) })) });
+    })
+  );
+
+  router.delete(
+    "/admin/webhooks/:id",
+    requireOperator,
+    validate({ params: { id: DOC_ID } }),
+    asyncRoute(async (req, res) => {
+      if (!(await webhooks.deleteEndpoint(req.params.id))) return sendError(res, 404, "NOT_FOUND", "Webhook endpoint not found");
+      log.info("Webhook endpoint removed", { endpointId: req.params.id, by: req.operator.uid || req.operator.type });
+      res.json({ success: true });
+    })
+  );
+
+  // Delivery log. Query: ?status=failed&endpointId=…&limit=50, newest first.
+  router.get(
+    "/admin/webhooks/deliveries",
+    requireOperator,
+    validate({
+      query: {
+        status: { type: "enum", values: ["queued", "sending", "delivered", "failed"] },
+        endpointId: { ...DOC_ID, required: false },
+        limit: LIST_QUERY.limit,
+      },
+    }),
+    asyncRoute(async (req, res) => {
+      const { status, endpointId, limit = 50 } = req.query;
+      const deliveries = await webhooks.listDeliveries({ status, endpointId, limit });
+      res.json({
+        success: true,
+        data: deliveries.map((d) => ({
+          ...d,
+          nextRunAt: iso(d.nextRunAt),
+          createdAt: iso(d.createdAt),
+          updatedAt: iso(d.updatedAt),
+          deliveredAt: iso(d.deliveredAt),
+          failedAt: iso(d.failedAt),
+          replayedAt: iso(d.replayedAt),
+        })),
+      });
+    })
+  );
+
+  // Sends a failed delivery again now, with a fresh retry budget if this attempt fails too.
+  router.post(
+    "/admin/webhooks/deliveries/:id/replay",
+    requireOperator,
+    validate({ params: { id: DOC_ID } }),
+    asyncRoute(async (req, res) => {
+      const by = req.operator.uid || req.operator.type;
+      const result = await webhooks.replayDelivery(req.params.id, by);
+      if (!result) return sendError(res, 409, "INVALID_STATE", "Delivery not found or not failed");
+      log.info("Webhook delivery replayed", { deliveryId: req.params.id, by, status: result.status });
+      res.json({ success: true, status: result.status });
+    })
+  );
+
+  /* ─────────────── Admin: distributor jobs ─────────────── */
+  router.get(
+    "/admin/distributor/jobs",
+    requireOperator,
+    validate({
+      query: { status: { type: "enum", values: ["queued", "running", "succeeded", "failed", "all"] }, limit: LIST_QUERY.limit },
+    }),
+    asyncRoute(async (req, res) => {
+      const status = req.query.status || "failed";
+      const limit = req.query.limit || 50;
+      const jobs = await distributor.listJobs({ status: status === "all" ? null : status, limit });
+      res.json({ success: true, data: jobs });
+    })
+  );
+
+  router.post(
+    "/admin/distributor/jobs/:id/retry",
+    requireOperator,
+    validate({ params: { id: DOC_ID } }),
+    asyncRoute(async (req, res) => {
+      const by = req.operator.uid || req.operator.type;
+      const result = await distributor.retryJob(req.params.id, by);
+      if (!result) return sendError(res, 409, "INVALID_STATE", "Job not found or not failed");
+      log.info("Distributor job re-run", { jobId: req.params.id, by, status: result.status });
+      res.json({ success: true, status: result.status });
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,234 @@
+// routes/ipn.js — unified IPN for OBlinks payments, MoneyGamez deposits and withdraws
+const express = require("express");
+const admin = require("firebase-admin");
+const { asyncRoute, isSuccess, isFailure, isReversal } = require("../lib/util");
+const { DEPOSIT_FINAL } = require("../services/deposits");
+const { sendError } = require("../lib/errors");
+const { validate } = require("../middleware/validate");
+const { createLogger, addContext } = require("../lib/logger");
+const { metrics } = require("../lib/metrics");
+
+const log = createLogger({ module: "ipn" });
+
+function createIpnRouter({ db, provider, services }) {
+  const router = express.Router();
+  const { transitionWithdraw } = services.payouts;
+  const { settleSuccessfulDeposit, reverseDeposit } = services.deposits;
+  const { queueEmail } = services.notifications;
+  const { fulfilPayment } = services.subscriptions;
+  const { clock } = services;
+
+  /* ─────────────── IPN verification & replay protection ─────────────── */
+  const IPN_INFLIGHT_MS = 5 * 60 * 1000; // a "processing" event older than this may be retried
+
+  // One ipn_events doc per (txRef, status); Firestore ids cannot contain "/".
+  const ipnEventId = (txRef, status) =>
+    `${String(txRef)}__${String(status || "unknown").toLowerCase()}`.replace(/\//g, "_").slice(0, 500);
+
+  async function quarantineIpn(req, reason) {
+    await db.collection("ipn_quarantine").add({
+      reason,
+      body: req.body || null,
+      ip: req.ip || null,
+      userAgent: req.get("user-agent") || null,
+      receivedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  /**
+   * Claims an IPN for processing. Returns false when the same (txRef, status) was already
+   * processed or is being processed right now, so replays are acknowledged but not re-applied.
+   */
+  async function claimIpnEvent(eventId, body) {
+    const ref = db.collection("ipn_events").doc(eventId);
+    return db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      const e = snap.exists ? snap.data() || {} : null;
+      if (e?.state === "processed") return false;
+      if (e?.state === "processing" && clock().getTime() - Number(e.startedAt || 0) < IPN_INFLIGHT_MS) return false;
+
+      tx.set(
+        ref,
+        {
+          txRef: body.txRef,
+          status: body.status || null,
+          state: "processing",
+          startedAt: clock().getTime(),
+          attempts: admin.firestore.FieldValue.increment(1),
+          firstReceivedAt: e?.firstReceivedAt || admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        },
+        { merge: true }
+      );
+      return true;
+    });
+  }
+
+  async function finishIpnEvent(eventId, state, error) {
+    await db.collection("ipn_events").doc(eventId).set(
+      {
+        state,
+        error: error || null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+  }
+
+  // Applies a verified, de-duplicated IPN to payments, withdraws and deposits.
+  async function handleIpn(body) {
+    const { txRef, status, msisdn, secure_hash } = body;
+    const networkRef = body.nework_ref || body.network_ref || null;
+
+    // Only a final provider status settles the payment; pending or unknown ones just record the callback.
+    const paymentStatus = isSuccess(status)
+      ? "approved"
+      : isReversal(status)
+        ? "reversed"
+        : isFailure(status)
+          ? "failed"
+          : null;
+    const paymentRef = db.collection("payments").doc(txRef);
+    await paymentRef.set(
+      {
+        ...(paymentStatus ? { status: paymentStatus } : {}),
+        network_ref: networkRef,
+        msisdn: msisdn || null,
+        secure_hash: secure_hash || null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+    log.info("Payment status recorded", { status });
+
+    // OBlinks package payments are the only payments docs carrying a package.
+    if (isSuccess(status)) {
+      const pay = (await paymentRef.get()).data() || {};
+      const fulfilment = pay.packageSnapshot
+        ? await fulfilPayment(txRef, Number(body.amount ?? body.transaction_amount))
+        : null;
+      if (pay.package && pay.email && fulfilment?.reason !== "needs_review")
+        await queueEmail({
+          template: "payment_confirmed",
+          ref: txRef,
+          to: pay.email,
+          data: {
+            txRef,
+            amount: pay.amount,
+            currency: pay.currency,
+            package: pay.packageSnapshot?.name || pay.package,
+            expiresAt: fulfilment?.expiresAt || null,
+          },
+        });
+    }
+
+    try {
+      const wSnap = await db.collection("withdraws").where("providerTxRef", "==", txRef).limit(1).get();
+      if (!wSnap.empty) {
+        const wDoc = wSnap.docs[0];
+        const finalStatus = isSuccess(status) ? "approved" : isFailure(status) ? "failed" : null;
+        const now = admin.firestore.FieldValue.serverTimestamp();
+
+        const prev = finalStatus
+          ? await transitionWithdraw(wDoc.id, finalStatus, {
+              providerRef: networkRef || txRef,
+              msisdn: msisdn || null,
+              ...(finalStatus === "approved" ? { paidAt: now } : { errorMessage: body.message || null }),
+            })
+          : null;
+        if (!finalStatus) log.info("Non-final withdrawal IPN ignored", { withdrawalId: wDoc.id, status });
+
+        const wid = wDoc.data() || {};
+        if (prev && finalStatus === "approved" && wid.userId) {
+          await db.collection("users").doc(wid.userId).set(
+            {
+              lastWithdrawalAt: now,
+              updatedAt: now,
+            },
+            { merge: true }
+          );
+        }
+      }
+    } catch (e) {
+      log.error("Withdrawal IPN handling failed", { err: e });
+      throw e;
+    }
+
+    const depRef = db.collection("deposits").doc(txRef);
+    const depSnap = await depRef.get();
+    if (!depSnap.exists) return; // not a MoneyGamez deposit
+    const dep = depSnap.data() || {};
+    // A chargeback after crediting: undo the stake and everything it paid out.
+    if (isReversal(status) && dep.status === "successful") {
+      const r = await reverseDeposit(txRef, { reason: body.message || `Provider reported ${status}`, source: "provider" });
+      if (r.error) log.warn("Provider reversal not applied", { reason: r.error });
+      return;
+    }
+    if (DEPOSIT_FINAL.includes(dep.status)) {
+      log.info("Deposit already final; IPN ignored", { depositStatus: dep.status, status });
+      return;
+    }
+
+    if (isFailure(status) || isReversal(status)) {
+      await depRef.update({
+        status: "failed",
+        errorMessage: body.message || null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return;
+    }
+    if (!isSuccess(status)) return;
+
+    await settleSuccessfulDeposit(depRef, dep, Number(body.amount ?? body.transaction_amount), msisdn, body);
+  }
+
+  /* ─────────────── Unified IPN (OBlinks + MoneyGamez + Withdraws) ─────────────── */
+  router.post(
+    "/ipn",
+    validate({ body: { txRef: { required: true, maxLength: 200 }, status: { maxLength: 50 } } }),
+    asyncRoute(async (req, res) => {
+      const { txRef, status } = req.body;
+      addContext({ txRef });
+      log.info("IPN received", { body: req.body });
+      metrics.ipns.inc({ result: "received" });
+
+      // Mandatory: unsigned or badly signed callbacks are quarantined, never applied.
+      const verdict = provider.verifyCallback(req.body);
+      if (!verdict.ok) {
+        log.error("IPN quarantined", { reason: verdict.reason });
+        metrics.ipns.inc({ result: "rejected" });
+        await quarantineIpn(req, verdict.reason);
+        return verdict.reason === "missing_signature"
+          ? sendError(res, 403, "MISSING_SIGNATURE", "Missing signature")
+          : sendError(res, 403, "INVALID_SIGNATURE", "Invalid signature");
+      }
+
+      metrics.ipns.inc({ result: "verified" });
+      const eventId = ipnEventId(txRef, status);
+      if (!(await claimIpnEvent(eventId, req.body))) {
+        log.info("Duplicate IPN acknowledged", { eventId });
+        metrics.ipns.inc({ result: "duplicate" });
+        await db
+          .collection("ipn_events")
+          .doc(eventId)
+          .set({ duplicates: admin.firestore.FieldValue.increment(1) }, { merge: true });
+        return res.send("OK");
+      }
+
+      try {
+        await handleIpn(req.body);
+      } catch (e) {
+        metrics.ipns.inc({ result: "failed" });
+        await finishIpnEvent(eventId, "failed", e.message);
+        throw e; // 500 → provider retries; the event is re-claimable
+      }
+      await finishIpnEvent(eventId, "processed");
+      metrics.ipns.inc({ result: "processed" });
+      res.send("OK");
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createIpnRouter };
@@ -0,0 +1,319 @@
+// routes/moneygamez.js — MoneyGamez deposits, withdrawals, payment status (and its SSE stream) and ledger lookup
+const express = require("express");
+const admin = require("firebase-admin");
+const { SSE_HEARTBEAT_MS, SSE_MAX_MS, SSE_MAX_STREAMS_PER_USER } = require("../config");
+const { asyncRoute } = require("../lib/util");
+const { openEventStream } = require("../lib/sse");
+const { DEFAULT_CURRENCY, resolveCountry, normalizeMsisdn, roundAmount } = require("../lib/countries");
+const { sendError, codeForStatus } = require("../lib/errors");
+const { validate } = require("../middleware/validate");
+const { createLogger, addContext } = require("../lib/logger");
+
+const log = createLogger({ module: "moneygamez" });
+
+// Firestore document ids: no "/" and bounded length.
+const DOC_ID = { required: true, maxLength: 128, pattern: /^[^/]+$/ };
+const MONEY_BODY = {
+  userId: DOC_ID,
+  amount: { type: "number", required: true },
+  phone: { required: true, maxLength: 20 },
+  country: { pattern: /^[A-Za-z]{2}$/ },
+  email: { type: "email", maxLength: 254 },
+};
+
+const iso = (t) => (t?.toDate ? t.toDate().toISOString() : null);
+
+/**
+ * Lifecycle stage of a deposit (MoneyGamez) or package payment (OBlinks) doc:
+ * initiated → prompt_sent → approved → credited, or failed / needs_review / reversed.
+ * A payment without a package has nothing to credit, so approved is final for it.
+ */
+function paymentStage(kind, d) {
+  if (["failed", "needs_review", "reversed"].includes(d.status)) return { stage: d.status, final: true };
+  if (kind === "deposit" ? d.credited : d.fulfilled) return { stage: "credited", final: true };
+  if (d.status === "successful" || d.status === "approved")
+    return { stage: "approved", final: kind === "payment" && !d.packageSnapshot };
+  if (d.status === "pending") return { stage: "prompt_sent", final: false };
+  return { stage: d.status || "initiated", final: false };
+}
+
+function statusView(ref, kind, d) {
+  return {
+    transaction_reference: ref,
+    kind,
+    amount: Number(d.expectedAmount ?? d.amount) || null,
+    currency: d.currency || DEFAULT_CURRENCY,
+    status: d.status || null,
+    ...paymentStage(kind, d),
+    credited: Boolean(d.credited),
+    narrative: d.narrative || null,
+    createdAt: iso(d.createdAt),
+    updatedAt: iso(d.updatedAt),
+  };
+}
+
+// The deposit's user, or the email a package payment was made for; operators may read any.
+function canViewPayment(kind, d, user) {
+  if (user.admin === true) return true;
+  if (kind === "deposit") return d.userId === user.uid;
+  return Boolean(d.email) && String(d.email).toLowerCase() === String(user.email || "").toLowerCase();
+}
+
+function createMoneyGamezRouter({ db, provider, services, requireUser, limits }) {
+  const router = express.Router();
+  const { payouts, risk } = services;
+  const openStreams = new Map(); // uid -> payment status streams open on this instance
+
+  // A wallet holds one currency (set by its first deposit); requests default to it.
+  async function walletCurrency(userId) {
+    if (!userId) return null;
+    const snap = await db.collection("users").doc(userId).get();
+    return snap.exists ? snap.data()?.currency || null : null;
+  }
+
+  /* ─────────────── MoneyGamez: Deposit (Silicon Collect) ─────────────── */
+  // Body: { amount, phone, userId, country?, currency?, narrative?, email? }  (Authorization: Bearer <Firebase ID token>)
+  router.post(
+    "/api/pay",
+    requireUser,
+    limits.pay,
+    validate({
+      body: { ...MONEY_BODY, currency: { pattern: /^[A-Za-z]{3}$/ }, narrative: { maxLength: 500 } },
+    }),
+    asyncRoute(async (req, res) => {
+      const { amount, userId } = req.body;
+      // Before any lookup on userId, so another user's wallet can't be probed through the errors.
+      if (req.user.uid !== userId) return sendError(res, 403, "FORBIDDEN", "userId does not match signed-in user");
+      const wallet = await walletCurrency(userId);
+      const market = resolveCountry({ country: req.body.country, currency: req.body.currency || wallet });
+      if (!market) return sendError(res, 400, "UNSUPPORTED_MARKET", "Unsupported country or currency");
+      if (wallet && wallet !== market.currency)
+        return sendError(res, 400, "CURRENCY_MISMATCH", `Wallet currency is ${wallet}`);
+      const { currency } = market;
+      const phone = normalizeMsisdn(req.body.phone, market);
+      const email = req.body.email || req.user.email || "noreply@oblinks.app";
+      const narrative = (req.body.narrative || "Wallet deposit").slice(0, 100);
+
+      if (amount <= 0) return sendError(res, 400, "INVALID_AMOUNT", "Invalid amount");
+      if (!phone) return sendError(res, 400, "INVALID_PHONE", "Invalid phone");
+      if (!process.env.IPN_URL) return sendError(res, 500, "MISCONFIGURED", "Server missing PUBLIC_URL/IPN_URL");
+
+      const txRef = `PP-${Date.now()}-${Math.floor(Math.random() * 1e6)}`;
+      addContext({ txRef });
+      const expectedAmount = Math.max(0, roundAmount(amount, currency)); // what the phone is actually charged
+      if (!expectedAmount) return sendError(res, 400, "INVALID_AMOUNT", "Invalid amount");
+
+      const verdict = await risk.checkDeposit({ userId, phone, amount: expectedAmount, currency });
+      if (!verdict.ok) return sendError(res, verdict.status, verdict.code, verdict.message);
+      const depRef = db.collection("deposits").doc(txRef);
+
+      // Durable record of what we asked for; the IPN is reconciled against this, never its own body.
+      await depRef.set({
+        userId,
+        amount: expectedAmount,
+        expectedAmount,
+        currency,
+        country: market.code,
+        phone,
+        email,
+        narrative,
+        status: "initiated",
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      const payload = {
+        txRef,
+        phone,
+        amount: expectedAmount,
+        email,
+        callbackUrl: process.env.IPN_URL,
+        currency,
+        metadata: { kind: "moneygamez", userId },
+      };
+
+      log.info("Collection requested", { provider: provider.label, userId, phone, amount: payload.amount, currency });
+      let data, status;
+      try {
+        ({ data, httpStatus: status } = await provider.collect(payload));
+      } catch (e) {
+        await depRef.update({
+          status: "failed",
+          errorMessage: e.response?.data?.message || e.message,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        throw e;
+      }
+
+      const started = status >= 200 && status < 300;
+      await depRef.update({
+        status: started ? "pending" : "failed",
+        ...(started ? { promptSentAt: admin.firestore.FieldValue.serverTimestamp() } : { errorMessage: data?.message || "Collection not started" }),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return res.status(status).json({ ...(data || {}), transaction_ref: txRef });
+    })
+  );
+
+  // A deposit doc wins over the payments doc the IPN also writes for it.
+  async function findPayment(ref) {
+    let snap = await db.collection("deposits").doc(ref).get();
+    const kind = snap.exists ? "deposit" : "payment";
+    if (!snap.exists) snap = await db.collection("payments").doc(ref).get();
+    return snap.exists ? { kind, snap } : null;
+  }
+
+  // Lifecycle status for a deposit (MoneyGamez) or package payment (OBlinks), from Firestore; payer only.
+  router.get(
+    "/api/pay/:ref",
+    requireUser,
+    validate({ params: { ref: DOC_ID } }),
+    asyncRoute(async (req, res) => {
+      const found = await findPayment(req.params.ref);
+      if (!found) return sendError(res, 404, "NOT_FOUND", "Not found");
+      if (!canViewPayment(found.kind, found.snap.data() || {}, req.user)) return sendError(res, 403, "FORBIDDEN", "Forbidden");
+      res.json({ success: true, data: [statusView(req.params.ref, found.kind, found.snap.data() || {})] });
+    })
+  );
+
+  // The same status as an SSE stream: a "status" event now and on every stage change, closed after
+  // a final stage (clients should stop reading then, or reconnect loops). It listens to the
+  // Firestore doc, so the IPN that settles it may land on any instance. Only the deposit's user
+  // (or the payment's email) may watch, with at most SSE_MAX_STREAMS_PER_USER open at once.
+  router.get(
+    "/api/pay/:ref/events",
+    requireUser,
+    validate({ params: { ref: DOC_ID } }),
+    asyncRoute(async (req, res) => {
+      const { ref } = req.params;
+      const found = await findPayment(ref);
+      if (!found) return sendError(res, 404, "NOT_FOUND", "Not found");
+      if (!canViewPayment(found.kind, found.snap.data() || {}, req.user)) return sendError(res, 403, "FORBIDDEN", "Forbidden");
+
+      const { uid } = req.user;
+      const open = openStreams.get(uid) || 0;
+      if (open >= SSE_MAX_STREAMS_PER_USER)
+        return sendError(res, 429, "TOO_MANY_STREAMS", `At most ${SSE_MAX_STREAMS_PER_USER} open status streams per user`);
+      openStreams.set(uid, open + 1);
+
+      let unsubscribe = null;
+      const stream = openEventStream(res, {
+        heartbeatMs: SSE_HEARTBEAT_MS,
+        maxMs: SSE_MAX_MS,
+        onClose: () => {
+          const left = (openStreams.get(uid) || 1) - 1;
+          if (left > 0) openStreams.set(uid, left);
+          else openStreams.delete(uid);
+          if (unsubscribe) unsubscribe();
+        },
+      });
+      let lastStage = null;
+      unsubscribe = found.snap.ref.onSnapshot(
+        (snap) => {
+          const view = statusView(ref, found.kind, snap.data() || {});
+          if (view.stage !== lastStage) stream.send("status", view);
+          lastStage = view.stage;
+          if (view.final) stream.close();
+        },
+        (err) => {
+          log.error("Payment status listener failed", { err });
+          stream.close();
+        }
+      );
+      if (stream.closed) unsubscribe();
+    })
+  );
+
+  /* ─────────────── MoneyGamez: Withdrawals ─────────────── */
+  // Body: { userId, amount, phone, country?, reason?, email? }  (Authorization: Bearer <Firebase ID token>)
+  // Paid out in the wallet's currency; the phone must belong to that currency's country unless `country` says otherwise.
+  // Optional Idempotency-Key header makes client retries return the same withdrawal.
+  router.post(
+    "/api/withdrawals",
+    requireUser,
+    limits.withdraw,
+    validate({ body: { ...MONEY_BODY, reason: { maxLength: 500 } } }),
+    asyncRoute(async (req, res) => {
+      const { amount, userId } = req.body;
+      if (req.user.uid !== userId) return sendError(res, 403, "FORBIDDEN", "userId does not match signed-in user");
+      const currency = (await walletCurrency(userId)) || DEFAULT_CURRENCY;
+      const market = resolveCountry({ country: req.body.country, currency });
+      if (!market || market.currency !== currency)
+        return sendError(res, 400, "CURRENCY_MISMATCH", `Payouts for this wallet are in ${currency}`);
+      const phone = normalizeMsisdn(req.body.phone, market);
+      const email = req.body.email || req.user.email || "noreply@oblinks.app";
+      const reason = (req.body.reason || "User Withdrawal").slice(0, 100);
+      const idemKey = String(req.get("idempotency-key") || "").replace(/[^\w-]/g, "").slice(0, 64);
+
+      if (amount <= 0 || roundAmount(amount, currency) !== amount)
+        return sendError(res, 400, "INVALID_AMOUNT", "Invalid amount");
+      if (!phone) return sendError(res, 400, "INVALID_PHONE", "Invalid phone");
+
+      const result = await payouts.requestWithdrawal({ userId, amount, phone, email, reason, idemKey, currency });
+      if (result.error)
+        return sendError(res, result.code, result.risk?.code || codeForStatus(result.code), result.error);
+
+      const w = result.withdraw;
+      return res.status(result.existing ? 200 : 201).json({
+        success: true,
+        data: [
+          {
+            withdrawalId: result.withdrawalId,
+            amount: w.amount,
+            currency: w.currency || DEFAULT_CURRENCY,
+            phone: w.phone,
+            status: w.status,
+            txRef: w.providerTxRef,
+          },
+        ],
+      });
+    })
+  );
+
+  /* ─────────────── Ledger lookup ─────────────── */
+  // Query: ?limit=50&cursor=<last entry id>. Users see their own; admins (support) see anyone's.
+  router.get(
+    "/api/users/:id/ledger",
+    requireUser,
+    validate({
+      params: { id: DOC_ID },
+      query: { limit: { type: "integer", min: 1, max: 200 }, cursor: { ...DOC_ID, required: false } },
+    }),
+    asyncRoute(async (req, res) => {
+      const userId = req.params.id;
+      if (req.user.uid !== userId && req.user.admin !== true) return sendError(res, 403, "FORBIDDEN", "Forbidden");
+
+      const limit = req.query.limit || 50;
+      let q = db
+        .collection("ledger")
+        .where("userIds", "array-contains", userId)
+        .orderBy("createdAt", "desc")
+        .limit(limit);
+
+      if (req.query.cursor) {
+        const cur = await db.collection("ledger").doc(String(req.query.cursor)).get();
+        if (!cur.exists) return sendError(res, 400, "INVALID_CURSOR", "Invalid cursor");
+        q = q.startAfter(cur);
+      }
+
+      const snap = await q.get();
+      const data = snap.docs.map((d) => {
+        const e = d.data() || {};
+        return {
+          id: d.id,
+          type: e.type,
+          ref: e.ref,
+          memo: e.memo,
+          lines: e.lines,
+          createdAt: e.createdAt?.toDate ? e.createdAt.toDate().toISOString() : null,
+        };
+      });
+      const nextCursor = snap.size === limit ? snap.docs[snap.docs.length - 1].id : null;
+      res.json({ success: true, data, nextCursor });
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createMoneyGamezRouter };
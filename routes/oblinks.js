@@ -0,0 +1,92 @@
+// routes/oblinks.js — OBlinks package collections and subscription lookups
+const express = require("express");
+const admin = require("firebase-admin");
+const { asyncRoute } = require("../lib/util");
+const { countryForCurrency, normalizeMsisdn } = require("../lib/countries");
+const { sendError } = require("../lib/errors");
+const { validate } = require("../middleware/validate");
+const { createLogger, addContext } = require("../lib/logger");
+
+const log = createLogger({ module: "oblinks" });
+
+function createOblinksRouter({ db, provider, services, requireUser, limits }) {
+  const router = express.Router();
+  const { getPackage, listForEmail } = services.subscriptions;
+
+  /* ─────────────── OBlinks: Collections (business) ─────────────── */
+  router.post(
+    "/start-payment",
+    requireUser,
+    limits.pay,
+    validate({
+      body: {
+        phone: { required: true, maxLength: 20 },
+        amount: { type: "number", required: true, min: 0 },
+        email: { type: "email", required: true, maxLength: 254 },
+        package: { required: true, maxLength: 100, pattern: /^[\w-]+$/ },
+      },
+    }),
+    asyncRoute(async (req, res) => {
+      const { phone, amount, email, package: pack } = req.body;
+      if (String(req.user.email || "").toLowerCase() !== email.toLowerCase())
+        return sendError(res, 403, "FORBIDDEN", "Email does not match signed-in user");
+
+      // The catalog sets the price; a client-supplied amount must agree with it.
+      const pkg = await getPackage(pack);
+      if (!pkg) return sendError(res, 400, "UNKNOWN_PACKAGE", "Unknown package");
+      if (amount !== pkg.price)
+        return sendError(res, 400, "AMOUNT_MISMATCH", `Amount does not match package price (${pkg.price})`);
+      const msisdn = normalizeMsisdn(phone, countryForCurrency(pkg.currency));
+      if (!msisdn) return sendError(res, 400, "INVALID_PHONE", "Invalid phone");
+
+      const txRef = `TX-${Date.now()}`;
+      addContext({ txRef });
+      const payload = {
+        txRef,
+        phone: msisdn,
+        amount: String(pkg.price),
+        email,
+        callbackUrl: process.env.IPN_URL,
+        currency: pkg.currency,
+        metadata: { kind: "oblinks" },
+      };
+
+      log.info("Collection requested", { provider: provider.label, phone: payload.phone, amount: payload.amount, package: pkg.id });
+      const { data } = await provider.collect(payload);
+
+      await db.collection("payments").doc(txRef).set({
+        txRef,
+        phone: payload.phone,
+        amount: payload.amount,
+        email,
+        package: pkg.id,
+        packageSnapshot: pkg,
+        currency: pkg.currency,
+        status: "pending",
+        siliconResponse: data,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      res.json({ message: "Payment push sent; awaiting confirmation.", txRef, siliconResponse: data });
+    })
+  );
+
+  /* ─────────────── OBlinks: Subscriptions ─────────────── */
+  router.get(
+    "/api/subscriptions/:email",
+    requireUser,
+    validate({ params: { email: { type: "email", required: true, maxLength: 254 } } }),
+    asyncRoute(async (req, res) => {
+      const email = req.params.email.toLowerCase();
+      if (String(req.user.email || "").toLowerCase() !== email && req.user.admin !== true)
+        return sendError(res, 403, "FORBIDDEN", "Forbidden");
+
+      const subscriptions = await listForEmail(email);
+      res.json({ email, subscriptions, active: subscriptions.some((s) => s.status === "active") });
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createOblinksRouter };
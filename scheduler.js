@@ -0,0 +1,35 @@
+// scheduler.js — cron jobs (run by worker.js, or by index.js when MODE=both)
+// Every instance may fire these; services/jobs.js leases each job so only one actually runs it.
+const cron = require("node-cron");
+const { TZ } = require("./config");
+const { createLogger } = require("./lib/logger");
+
+const log = createLogger({ module: "scheduler" });
+
+function startScheduler(services) {
+  const { jobs } = services;
+  log.info("Scheduler enabled", { tz: TZ });
+
+  const schedule = (expr, name, fn) =>
+    cron.schedule(
+      expr,
+      async () => {
+        try {
+          await fn();
+        } catch (e) {
+          log.error("Scheduled job failed", { job: name, err: e });
+        }
+      },
+      { timezone: TZ }
+    );
+
+  // Daily returns also replays days missed while no worker was up (see jobs.runDaily).
+  schedule("10 0 * * *", "dailyReturns", () => jobs.runDaily("dailyReturns"));
+  schedule("30 0 * * *", "dailyReport", () => jobs.runDaily("dailyReport"));
+  schedule("40 1 * * *", "reconciliation", () => jobs.runJob("reconciliation"));
+  schedule("5 * * * *", "subscriptionExpiry", () => jobs.runJob("subscriptionExpiry"));
+
+  jobs.catchUp().catch((e) => log.error("Job catch-up failed", { err: e }));
+}
+
+module.exports = { startScheduler };
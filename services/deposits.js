@@ -0,0 +1,449 @@
+// services/deposits.js — MoneyGamez deposit crediting (stake, fee, referral, company totals)
+const admin = require("firebase-admin");
+const { DAILY_RATE, DURATION_DAYS, REFERRAL_BONUS_RATE, FEE_DIVISOR } = require("../config");
+const { round2 } = require("../lib/util");
+const { DEFAULT_CURRENCY } = require("../lib/countries");
+const { createLogger } = require("../lib/logger");
+const { metrics } = require("../lib/metrics");
+
+const log = createLogger({ module: "deposits" });
+
+// deposits/{txRef} lifecycle: initiated → pending (prompt sent) → successful | failed | needs_review,
+// and successful → reversed when the collection is taken back (see reverseDeposit).
+const DEPOSIT_FINAL = ["successful", "failed", "needs_review", "reversed"];
+
+function createDepositService({ db, provider, ledger, distributor, notifications, webhooks, risk }) {
+  const { LEDGER_ACCOUNTS, postLedger } = ledger;
+
+  /* ─────────────── Company metrics increment helper ─────────────── */
+  // totalCompanyStakes stays the all-currency sum the daily-rate rule compares against;
+  // byCurrency.{CUR}.{stakes,deposits,withdrawals} are the per-currency totals.
+  // Writes inside the caller's transaction; snap is that transaction's read of company/metrics.
+  function incrementCompanyStakesInTx(tx, snap, delta, currency = DEFAULT_CURRENCY, gross = 0) {
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const inc = admin.firestore.FieldValue.increment;
+
+    if (!snap.exists) {
+      tx.set(
+        snap.ref,
+        {
+          totalCompanyStakes: round2(Number(delta || 0)),
+          totalCompanyTransfers: 0,
+          transferInProgress: false,
+          byCurrency: { [currency]: { stakes: inc(round2(delta)), deposits: inc(round2(gross)) } },
+          createdAt: now,
+          updatedAt: now,
+        },
+        { merge: true }
+      );
+    } else {
+      const cur = Number(snap.data()?.totalCompanyStakes || 0);
+      tx.update(snap.ref, {
+        totalCompanyStakes: round2(cur + Number(delta || 0)),
+        [`byCurrency.${currency}.stakes`]: inc(round2(delta)),
+        [`byCurrency.${currency}.deposits`]: inc(round2(gross)),
+        updatedAt: now,
+      });
+    }
+  }
+
+  async function incrementCompanyStakes(delta, currency = DEFAULT_CURRENCY, gross = 0) {
+    const ref = db.collection("company").doc("metrics");
+    await db.runTransaction(async (tx) => incrementCompanyStakesInTx(tx, await tx.get(ref), delta, currency, gross));
+  }
+
+  /**
+   * Credits a deposit once: the stake, ledger entries, referral bonus, totalDeposited and
+   * company/metrics all commit together, guarded by the deposit's own `credited` flag read in the
+   * same transaction, so an IPN and reconciliation racing on one txRef cannot both count it.
+   * Returns true when this call credited the deposit, false when it already was.
+   */
+  async function createStakeAndCredit(txRef, amount, userId, phone, rawEvent) {
+    const depRef = db.collection("deposits").doc(txRef);
+
+    // ✅ Reverse the 10% top-up to get the user’s intended base (principal)
+    const netPrincipal = round2(Number(amount) / FEE_DIVISOR); // e.g., 2200/1.1 = 2000
+    const depositFee  = round2(Number(amount) - netPrincipal); // e.g., 2200-2000 = 200
+
+    const stakeRef = db.collection("stakes").doc(txRef);
+
+    const currency = await db.runTransaction(async (tx) => {
+      const depSnap = await tx.get(depRef);
+      const dep = depSnap.data() || {};
+      if (dep.credited) return null;
+      const currency = dep.currency || DEFAULT_CURRENCY;
+
+      const userRef = db.collection("users").doc(userId);
+      const userSnap = await tx.get(userRef);
+      if (!userSnap.exists) throw new Error("User not found for deposit");
+      const u = userSnap.data() || {};
+
+      const stakeSnap = await tx.get(stakeRef);
+
+      // 🔹 Decide daily rate based on company metrics (unchanged)
+      const metricsRef = db.collection("company").doc("metrics");
+      const metricsSnap = await tx.get(metricsRef);
+      const totalStakes = Number(metricsSnap.data()?.totalCompanyStakes || 0);
+      const totalTransfers = Number(metricsSnap.data()?.totalCompanyTransfers || 0);
+      const chosenDailyRate = (totalStakes === totalTransfers) ? 0.12 : DAILY_RATE;
+
+      // referrer (reads only)
+      let refRef = null;
+      let refData = null;
+      if (u.referrerCode) {
+        const refQuery = db.collection("users").where("referralCode", "==", u.referrerCode).limit(1);
+        const refQSnap = await tx.get(refQuery);
+        if (!refQSnap.empty) {
+          refRef = refQSnap.docs[0].ref;
+          refData = refQSnap.docs[0].data() || {};
+        }
+      }
+
+      // writes
+      if (!stakeSnap.exists) {
+        tx.set(stakeRef, {
+          stakeId: txRef,
+          userId,
+          principal: netPrincipal,         // ✅ base after reversing the fee
+          currency,
+          dailyRate: chosenDailyRate,      // 12% if equal; else 10%
+          totalDays: DURATION_DAYS,
+          remainingDays: DURATION_DAYS,
+          earnedSoFar: 0,
+          status: "active",
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          lastProcessedAt: null,
+          lastProcessedDate: null,
+          depositRef: txRef,
+        });
+        // Durable: the job commits (or not) with the stake itself.
+        if (distributor) distributor.enqueueStakeInTx(tx, txRef);
+        if (notifications)
+          notifications.queueEmailInTx(tx, {
+            template: "deposit_confirmed",
+            ref: txRef,
+            userId,
+            to: u.email || dep.email || null,
+            data: { txRef, amount, currency, principal: netPrincipal, totalDays: DURATION_DAYS },
+          });
+        if (webhooks)
+          webhooks.publishInTx(tx, "deposit.credited", txRef, {
+            txRef,
+            userId,
+            amount,
+            currency,
+            principal: netPrincipal,
+            stakeId: txRef,
+          });
+      }
+
+      // Ledger: gross in from provider = fee revenue + stake principal
+      if (!stakeSnap.exists) {
+        postLedger(tx, {
+          id: `dep-${txRef}`,
+          type: "deposit",
+          ref: txRef,
+          memo: `Deposit ${amount} (fee ${depositFee})`,
+          currency,
+          lines: [
+            { account: LEDGER_ACCOUNTS.providerCash, debit: amount },
+            { account: LEDGER_ACCOUNTS.depositFees, credit: depositFee },
+            { account: LEDGER_ACCOUNTS.userStakes(userId), credit: netPrincipal },
+          ],
+        });
+      }
+
+      // Keep totalDeposited behavior the same (adds gross amount)
+      tx.update(userRef, {
+        totalDeposited: round2(Number(u.totalDeposited || 0) + Number(amount)),
+        ...(u.currency ? {} : { currency }), // a wallet takes the currency of its first deposit
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      // Bonuses are never converted: a referrer whose wallet is in another currency gets none.
+      const refCurrency = refData?.currency || DEFAULT_CURRENCY;
+      if (refRef && refCurrency !== currency)
+        log.warn("Referral bonus skipped: currency differs", { referrerCurrency: refCurrency, currency });
+      if (refRef && refCurrency === currency) {
+        const paid = Array.isArray(refData.paidRefereesIds) ? refData.paidRefereesIds : [];
+        if (!paid.includes(userId)) {
+          const bonus = round2(Number(amount) * REFERRAL_BONUS_RATE); // based on gross
+          tx.update(refRef, {
+            returnsWallet: admin.firestore.FieldValue.increment(bonus),
+            paidRefereesIds: admin.firestore.FieldValue.arrayUnion(userId),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+          postLedger(tx, {
+            id: `ref-${txRef}`,
+            type: "referral_bonus",
+            ref: txRef,
+            memo: `Referral bonus for ${userId}`,
+            currency,
+            lines: [
+              { account: LEDGER_ACCOUNTS.referralBonus, debit: bonus },
+              { account: LEDGER_ACCOUNTS.userReturns(refRef.id), credit: bonus },
+            ],
+          });
+          const refLog = db.collection("referrals").doc();
+          tx.set(refLog, {
+            referrerId: refRef.id,
+            refereeId: userId,
+            depositRef: txRef,
+            bonus,
+            rate: REFERRAL_BONUS_RATE,
+            amount,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+        }
+      }
+
+      // The deposit turns successful in the same commit that credits it: a failed credit leaves it
+      // pending, so the provider's retry (or reconciliation) credits it later.
+      tx.set(
+        depRef,
+        {
+          userId,
+          amount,             // gross charged/approved on phone
+          depositFee,         // recorded for transparency
+          netPrincipal,       // actual stake principal
+          currency,
+          phone: phone || null,
+          gateway: provider.label,
+          status: "successful",
+          raw: rawEvent || null,
+          credited: true,
+          creditedAt: admin.firestore.FieldValue.serverTimestamp(),
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        },
+        { merge: true }
+      );
+
+      // ✅ Company stakes increment uses the actual principal (not gross)
+      incrementCompanyStakesInTx(tx, metricsSnap, netPrincipal, currency, amount);
+      return currency;
+    });
+    if (!currency) {
+      log.info("Deposit already credited; nothing to do");
+      return false;
+    }
+
+    // 🔔 Nudge the distributor now (non-blocking); its poller retries anything that fails
+    if (distributor)
+      distributor.runForStake(txRef).catch((err) => log.error("Distributor nudge failed", { err }));
+
+    log.info("Deposit credited; stake created", { gross: amount, fee: depositFee, net: netPrincipal, currency });
+    metrics.depositsCredited.inc({ currency });
+    metrics.depositsCreditedAmount.inc({ currency }, Number(amount));
+    return true;
+  }
+
+  /**
+   * Credits a confirmed deposit using the amount stored at initiation. A provider-reported
+   * amount that disagrees parks the deposit in needs_review instead of crediting it.
+   * alreadyCredited is true when another caller (IPN or reconciliation) got there first.
+   */
+  async function settleSuccessfulDeposit(depRef, dep, reportedAmount, msisdn, rawEvent) {
+    const txRef = depRef.id;
+    const expected = Number(dep.expectedAmount ?? dep.amount);
+    const reported = Number.isFinite(reportedAmount) && reportedAmount > 0 ? reportedAmount : null;
+
+    if (!dep.userId || !(expected > 0) || (reported !== null && round2(reported) !== round2(expected))) {
+      const reviewReason = !dep.userId || !(expected > 0)
+        ? "Deposit record missing userId or expected amount"
+        : `Amount mismatch: expected ${expected}, provider reported ${reported}`;
+      log.warn("Deposit needs review", { reviewReason });
+      await depRef.update({
+        status: "needs_review",
+        reviewReason,
+        reportedAmount: reported,
+        raw: rawEvent || null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return { credited: false, reviewReason };
+    }
+
+    const applied = await createStakeAndCredit(txRef, expected, dep.userId, dep.phone || msisdn || null, rawEvent);
+    return { credited: true, alreadyCredited: !applied };
+  }
+
+  /* ─────────────── Reversal / chargeback ─────────────── */
+  /**
+   * Undoes a credited deposit in one transaction: the stake is cancelled (status "reversed"),
+   * and the deposit, the returns the stake already paid, the referral bonus, totalDeposited and
+   * company/metrics each get a compensating change and ledger entry. A wallet that no longer
+   * holds what is clawed back goes negative, which blocks withdrawals until it is topped up.
+   * source: "admin" | "provider". Returns { reversed: true, reversal } or { error, code }.
+   */
+  async function reverseDeposit(txRef, { reason, by, source = "admin" } = {}) {
+    const depRef = db.collection("deposits").doc(txRef);
+    const stakeRef = db.collection("stakes").doc(txRef);
+    const metricsRef = db.collection("company").doc("metrics");
+    const reversalRef = db.collection("reversals").doc(txRef);
+    const inc = admin.firestore.FieldValue.increment;
+    const now = admin.firestore.FieldValue.serverTimestamp();
+
+    const result = await db.runTransaction(async (tx) => {
+      const depSnap = await tx.get(depRef);
+      if (!depSnap.exists) return { error: "Deposit not found", code: 404 };
+      const dep = depSnap.data() || {};
+      if (dep.status === "reversed") return { error: "Deposit already reversed", code: 409 };
+      if (dep.status !== "successful" || !dep.credited)
+        return { error: `Only a credited deposit can be reversed (status: ${dep.status})`, code: 409 };
+
+      const userId = dep.userId;
+      const currency = dep.currency || DEFAULT_CURRENCY;
+      const gross = round2(Number(dep.amount || 0));
+      const fee = round2(Number(dep.depositFee || 0));
+      const principal = round2(Number(dep.netPrincipal ?? gross - fee));
+
+      const userRef = db.collection("users").doc(userId);
+      const [userSnap, stakeSnap, metricsSnap, referralSnap] = await Promise.all([
+        tx.get(userRef),
+        tx.get(stakeRef),
+        tx.get(metricsRef),
+        tx.get(db.collection("referrals").where("depositRef", "==", txRef).limit(1)),
+      ]);
+      const stake = stakeSnap.exists ? stakeSnap.data() || {} : null;
+      const referral = referralSnap.empty ? null : { ref: referralSnap.docs[0].ref, ...referralSnap.docs[0].data() };
+      const referrerRef = referral && !referral.reversed ? db.collection("users").doc(referral.referrerId) : null;
+      const referrerSnap = referrerRef ? await tx.get(referrerRef) : null;
+
+      // Returns already paid out of this stake come back out of the user's returns wallet.
+      const earned = round2(Number(stake?.earnedSoFar || 0));
+      const userBalance = round2(Number(userSnap.data()?.returnsWallet || 0) - earned);
+      const bonus = referrerSnap?.exists ? round2(Number(referral.bonus || 0)) : 0;
+      const referrerBalance = bonus ? round2(Number(referrerSnap.data()?.returnsWallet || 0) - bonus) : null;
+
+      /* writes */
+      tx.update(depRef, { status: "reversed", reversedAt: now, reversalReason: reason || null, updatedAt: now });
+      if (stake)
+        tx.update(stakeRef, {
+          status: "reversed",
+          statusBeforeReversal: stake.status || null,
+          reversedAt: now,
+          updatedAt: now,
+        });
+      postLedger(tx, {
+        id: `rev-dep-${txRef}`,
+        type: "deposit_reversal",
+        ref: txRef,
+        memo: `Deposit ${gross} reversed${reason ? `: ${reason}` : ""}`,
+        currency,
+        lines: [
+          { account: LEDGER_ACCOUNTS.depositFees, debit: fee },
+          { account: LEDGER_ACCOUNTS.userStakes(userId), debit: principal },
+          { account: LEDGER_ACCOUNTS.providerCash, credit: gross },
+        ],
+      });
+
+      if (userSnap.exists)
+        tx.update(userRef, {
+          totalDeposited: inc(-gross),
+          ...(earned ? { returnsWallet: inc(-earned) } : {}),
+          ...(userBalance < 0 ? { negativeBalance: true } : {}),
+          updatedAt: now,
+        });
+      if (earned)
+        postLedger(tx, {
+          id: `rev-ret-${txRef}`,
+          type: "returns_clawback",
+          ref: txRef,
+          memo: `Returns paid on reversed deposit ${txRef}`,
+          currency,
+          lines: [
+            { account: LEDGER_ACCOUNTS.userReturns(userId), debit: earned },
+            { account: LEDGER_ACCOUNTS.dailyReturns, credit: earned },
+          ],
+        });
+
+      if (bonus) {
+        tx.update(referrerRef, {
+          returnsWallet: inc(-bonus),
+          // The referee can earn the referrer a bonus again with a deposit that sticks.
+          paidRefereesIds: admin.firestore.FieldValue.arrayRemove(userId),
+          ...(referrerBalance < 0 ? { negativeBalance: true } : {}),
+          updatedAt: now,
+        });
+        tx.update(referral.ref, { reversed: true, reversedAt: now });
+        postLedger(tx, {
+          id: `rev-ref-${txRef}`,
+          type: "referral_bonus_clawback",
+          ref: txRef,
+          memo: `Referral bonus for ${userId} reversed`,
+          currency,
+          lines: [
+            { account: LEDGER_ACCOUNTS.userReturns(referral.referrerId), debit: bonus },
+            { account: LEDGER_ACCOUNTS.referralBonus, credit: bonus },
+          ],
+        });
+      }
+
+      // A stake already distributed leaves company transfers too (see ./distribution).
+      const distributed = stake?.distribution?.status === "done" ? round2(Number(stake.distribution.amount || 0)) : 0;
+      if (metricsSnap.exists)
+        tx.update(metricsRef, {
+          totalCompanyStakes: round2(Number(metricsSnap.data()?.totalCompanyStakes || 0) - principal),
+          [`byCurrency.${currency}.stakes`]: inc(-principal),
+          [`byCurrency.${currency}.deposits`]: inc(-gross),
+          ...(distributed
+            ? {
+                totalCompanyTransfers: round2(Number(metricsSnap.data()?.totalCompanyTransfers || 0) - distributed),
+                [`byCurrency.${currency}.transfers`]: inc(-distributed),
+              }
+            : {}),
+          updatedAt: now,
+        });
+
+      const negativeBalances = [
+        ...(userBalance < 0 ? [{ userId, balance: userBalance }] : []),
+        ...(referrerBalance !== null && referrerBalance < 0 ? [{ userId: referral.referrerId, balance: referrerBalance }] : []),
+      ];
+      const reversal = {
+        txRef,
+        userId,
+        currency,
+        gross,
+        fee,
+        principal,
+        returnsClawedBack: earned,
+        referralClawedBack: bonus ? { userId: referral.referrerId, bonus } : null,
+        stakeStatusBefore: stake?.status || null,
+        negativeBalances,
+        reason: reason || null,
+        source,
+        by: by || null,
+      };
+      tx.create(reversalRef, { ...reversal, createdAt: now });
+      if (webhooks)
+        webhooks.publishInTx(tx, "deposit.reversed", txRef, { txRef, userId, amount: gross, currency, source, reason: reason || null });
+      return { reversed: true, reversal };
+    });
+    if (result.error) return result;
+
+    const { reversal } = result;
+    log.warn("Deposit reversed", {
+      source,
+      gross: reversal.gross,
+      returnsClawedBack: reversal.returnsClawedBack,
+      negativeBalances: reversal.negativeBalances.length,
+    });
+    for (const n of reversal.negativeBalances)
+      if (risk)
+        await risk.recordRiskEvent({
+          type: "flagged",
+          action: "deposit_reversal",
+          code: "NEGATIVE_BALANCE",
+          userId: n.userId,
+          amount: n.balance,
+          currency: reversal.currency,
+          message: "Returns wallet negative after a deposit reversal",
+          ref: txRef,
+        });
+    return result;
+  }
+
+  return { createStakeAndCredit, settleSuccessfulDeposit, incrementCompanyStakes, reverseDeposit };
+}
+
+module.exports = { createDepositService, DEPOSIT_FINAL };
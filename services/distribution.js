@@ -0,0 +1,52 @@
+// services/distribution.js — the per-stake "stake.distribute" step run by the distributor queue
+// A new stake's principal is counted into company/metrics.totalCompanyTransfers (and
+// byCurrency.{CUR}.transfers), the total the daily-rate rule compares totalCompanyStakes against.
+const admin = require("firebase-admin");
+const { round2 } = require("../lib/util");
+const { DEFAULT_CURRENCY } = require("../lib/countries");
+const { createLogger } = require("../lib/logger");
+
+const log = createLogger({ module: "distribution" });
+
+function createDistributionService({ db, clock = () => new Date() }) {
+  /**
+   * Distributes one stake. The counters and the stake's `distribution` stamp commit together,
+   * so a job that runs twice finds the stamp and changes nothing. A stake reversed before its
+   * job ran is skipped; a missing one throws, so the job retries and then fails for an operator.
+   */
+  async function distributeStake(job) {
+    const stakeRef = db.collection("stakes").doc(job.stakeId);
+    const metricsRef = db.collection("company").doc("metrics");
+    return db.runTransaction(async (tx) => {
+      const [stakeSnap, metricsSnap] = await Promise.all([tx.get(stakeRef), tx.get(metricsRef)]);
+      if (!stakeSnap.exists) throw new Error(`Stake ${job.stakeId} not found`);
+      const stake = stakeSnap.data() || {};
+      if (stake.distribution?.status === "done") return { stakeId: job.stakeId, skipped: "already_distributed" };
+      if (stake.status === "reversed") return { stakeId: job.stakeId, skipped: "reversed" };
+
+      const amount = round2(Number(stake.principal || 0));
+      const currency = stake.currency || DEFAULT_CURRENCY;
+      const now = admin.firestore.FieldValue.serverTimestamp();
+      const transfers = round2(Number(metricsSnap.data()?.totalCompanyTransfers || 0) + amount);
+      tx.set(
+        metricsRef,
+        {
+          totalCompanyTransfers: transfers,
+          byCurrency: { [currency]: { transfers: admin.firestore.FieldValue.increment(amount) } },
+          updatedAt: now,
+        },
+        { merge: true }
+      );
+      tx.update(stakeRef, {
+        distribution: { status: "done", jobId: job.id || null, amount, at: clock().toISOString() },
+        updatedAt: now,
+      });
+      log.info("Stake distributed", { stakeId: job.stakeId, amount, currency });
+      return { stakeId: job.stakeId, amount, currency };
+    });
+  }
+
+  return { distributeStake };
+}
+
+module.exports = { createDistributionService };
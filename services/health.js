@@ -0,0 +1,124 @@
+// services/health.js — readiness checks and scheduled-job bookkeeping
+// job_status/{job}: { lastStartedAt, lastFinishedAt, lastSuccessAt, lastDurationMs, lastError }.
+// Written by whichever process runs the scheduler, read by every web instance's /readyz.
+const admin = require("firebase-admin");
+const { createLogger } = require("../lib/logger");
+
+const log = createLogger({ module: "health" });
+
+const CHECK_TIMEOUT_MS = 3000;
+const TOKEN_CHECK_TTL_MS = 5 * 60 * 1000; // don't mint a provider token on every probe
+
+// A job older than this (since its last success) makes the service not ready.
+const JOB_MAX_AGE_HOURS = {
+  dailyReturns: 26,
+  reconciliation: 26,
+  subscriptionExpiry: 2,
+  dailyReport: 26,
+};
+
+function withTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function createHealthService({ db, provider, clock = () => new Date() }) {
+  const ts = (ms) => admin.firestore.Timestamp.fromMillis(ms);
+  let tokenCheck = null; // { at, ok, error }
+
+  /**
+   * Runs a scheduled job and records its outcome in job_status/{name}. Rethrows job errors.
+   * Bookkeeping failures are logged, never allowed to fail the job itself.
+   */
+  async function recordJobRun(name, fn) {
+    const ref = db.collection("job_status").doc(name);
+    const started = clock().getTime();
+    const save = (fields) =>
+      ref.set({ job: name, ...fields }, { merge: true }).catch((err) => log.error("Job status not saved", { job: name, err }));
+
+    await save({ lastStartedAt: ts(started) });
+    try {
+      const result = await fn();
+      const finished = clock().getTime();
+      await save({ lastFinishedAt: ts(finished), lastSuccessAt: ts(finished), lastDurationMs: finished - started, lastError: null });
+      return result;
+    } catch (e) {
+      await save({ lastFinishedAt: ts(clock().getTime()), lastError: e.message });
+      throw e;
+    }
+  }
+
+  async function checkFirestore() {
+    const started = Date.now();
+    try {
+      await withTimeout(db.collection("job_status").limit(1).get(), CHECK_TIMEOUT_MS, "Firestore");
+      return { ok: true, latencyMs: Date.now() - started };
+    } catch (e) {
+      return { ok: false, error: e.message };
+    }
+  }
+
+  async function checkProviderToken() {
+    const now = Date.now();
+    if (tokenCheck && now - tokenCheck.at < TOKEN_CHECK_TTL_MS) return { ...tokenCheck.result, cached: true };
+    let result;
+    try {
+      // Forced past the provider's own token cache so this really reaches SiliconPay.
+      await withTimeout(provider.token({ force: true }), CHECK_TIMEOUT_MS, `${provider.label} token`);
+      result = { ok: true };
+    } catch (e) {
+      result = { ok: false, error: e.message };
+    }
+    // Failures are re-checked on the next probe; only successes are cached.
+    tokenCheck = result.ok ? { at: now, result } : null;
+    return { ...result, cached: false };
+  }
+
+  // An open circuit means provider calls are failing fast right now, whatever the last token check said.
+  async function checkProvider() {
+    const circuit = provider.circuitState ? provider.circuitState() : "closed";
+    if (circuit === "open") return { ok: false, circuit, error: `${provider.label} circuit open` };
+    return { ...(await checkProviderToken()), circuit };
+  }
+
+  async function checkJobs() {
+    const now = clock().getTime();
+    const out = {};
+    await Promise.all(
+      Object.entries(JOB_MAX_AGE_HOURS).map(async ([name, maxHours]) => {
+        try {
+          const s = (await withTimeout(db.collection("job_status").doc(name).get(), CHECK_TIMEOUT_MS, name)).data();
+          const last = s?.lastSuccessAt?.toMillis?.() ?? null;
+          // A job that has never run (fresh project) is not a failure; a stale one is.
+          const ageHours = last === null ? null : Math.round(((now - last) / 3600000) * 10) / 10;
+          out[name] = {
+            ok: ageHours === null || ageHours <= maxHours,
+            lastSuccessAt: last === null ? null : new Date(last).toISOString(),
+            ageHours,
+            maxAgeHours: maxHours,
+            lastError: s?.lastError || null,
+          };
+        } catch (e) {
+          out[name] = { ok: false, error: e.message };
+        }
+      })
+    );
+    return out;
+  }
+
+  // { ok, checks: { firestore, provider, jobs: { <name>: {...} } } }
+  async function checkReadiness() {
+    const [firestore, providerCheck] = await Promise.all([checkFirestore(), checkProvider()]);
+    const jobs = firestore.ok ? await checkJobs() : {};
+    const ok = firestore.ok && providerCheck.ok && Object.values(jobs).every((j) => j.ok);
+    if (!ok) log.warn("Not ready", { firestore, provider: providerCheck, jobs });
+    return { ok, checks: { firestore, provider: providerCheck, jobs } };
+  }
+
+  return { recordJobRun, checkReadiness };
+}
+
+module.exports = { createHealthService, JOB_MAX_AGE_HOURS };
@@ -0,0 +1,65 @@
+// services/index.js — wires the money-path services around shared dependencies
+const { createLedger } = require("./ledger");
+const { createPayoutService } = require("./payouts");
+const { createDepositService } = require("./deposits");
+const { createReturnsService } = require("./returns");
+const { createReconciliationService } = require("./reconciliation");
+const { createNotificationService } = require("./notifications");
+const { createWebhookService } = require("./webhooks");
+const { createSubscriptionService } = require("./subscriptions");
+const { createRiskService } = require("./risk");
+const { createHealthService } = require("./health");
+const { createJobService } = require("./jobs");
+const { createReportService } = require("./reports");
+const { createDistributionService } = require("./distribution");
+const { createDistributor } = require("../distributor");
+
+/**
+ * db: Firestore (or the in-memory adapter in tests), provider: see ../providers,
+ * mailer: nodemailer transport, http: axios-like client for outbound webhooks, clock: () => Date.
+ * distributorHandlers: extra or replacement job handlers for ../distributor; "stake.distribute"
+ * defaults to ./distribution.
+ */
+function createServices({ db, provider, mailer, http, clock = () => new Date(), distributorHandlers = {} }) {
+  const ledger = createLedger({ db, provider });
+  const notifications = createNotificationService({ db, mailer, clock });
+  const webhooks = createWebhookService({ db, http, clock });
+  const risk = createRiskService({ db, clock });
+  const payouts = createPayoutService({ db, provider, ledger, risk, notifications, webhooks, clock });
+  const distribution = createDistributionService({ db, clock });
+  const distributor = createDistributor({
+    db,
+    clock,
+    handlers: { "stake.distribute": distribution.distributeStake, ...distributorHandlers },
+  });
+  const deposits = createDepositService({ db, provider, ledger, distributor, notifications, webhooks, risk });
+  const subscriptions = createSubscriptionService({ db, webhooks, clock });
+  const returns = createReturnsService({ db, ledger, notifications, webhooks, clock });
+  const reconciliation = createReconciliationService({ db, provider, deposits, payouts, subscriptions, clock });
+  const health = createHealthService({ db, provider, clock });
+  const reports = createReportService({ db, clock });
+  const jobs = createJobService({ db, health, returns, reconciliation, subscriptions, reports, clock });
+
+  return {
+    db,
+    provider,
+    mailer,
+    clock,
+    ledger,
+    payouts,
+    deposits,
+    returns,
+    reconciliation,
+    distributor,
+    distribution,
+    notifications,
+    webhooks,
+    subscriptions,
+    risk,
+    health,
+    reports,
+    jobs,
+  };
+}
+
+module.exports = { createServices };
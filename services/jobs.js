@@ -0,0 +1,237 @@
+// services/jobs.js — scheduled jobs that are safe to run on several instances
+// job_locks/{job}: a lease ({ runId, owner, leaseUntil }) so only one instance runs a job at a time;
+// the holder renews it while running and a crashed holder's lease simply expires.
+// job_runs/{runId}: { job, trigger, date?, owner, status, startedAt, finishedAt, durationMs, result, error }
+// where status is running → succeeded | failed, or abandoned when its lease expired mid-run.
+const os = require("os");
+const admin = require("firebase-admin");
+const { DateTime } = require("luxon");
+const { TZ, JOB_CATCH_UP_DAYS } = require("../config");
+const { dayKeyIn } = require("../lib/util");
+const { createLogger, runWithContext } = require("../lib/logger");
+
+const log = createLogger({ module: "jobs" });
+
+const RUNS = "job_runs";
+const LOCKS = "job_locks";
+const LEASE_MS = 5 * 60 * 1000;
+const RENEW_EVERY_MS = LEASE_MS / 3;
+const OWNER_ID = `${os.hostname()}:${process.pid}`;
+const TRIGGERS = ["schedule", "catch_up", "manual"];
+
+/**
+ * health: ./health (job_status bookkeeping), clock: () => Date.
+ * Daily jobs run once per calendar day in TZ and are caught up day by day after downtime;
+ * interval jobs are re-run once at start-up when their last success is older than everyHours.
+ */
+function createJobService({ db, health, returns, reconciliation, subscriptions, reports, clock = () => new Date() }) {
+  const ts = (ms) => admin.firestore.Timestamp.fromMillis(ms);
+
+  const JOBS = {
+    dailyReturns: { daily: true, run: ({ date }) => returns.runDailyReturns({ date }) },
+    reconciliation: { everyHours: 24, run: () => reconciliation.runReconciliation() },
+    subscriptionExpiry: { everyHours: 1, run: () => subscriptions.expireSubscriptions() },
+    // The run for day D snapshots D-1, the day that just closed.
+    dailyReport: {
+      daily: true,
+      run: ({ date }) => reports.writeSnapshot(DateTime.fromISO(date, { zone: TZ }).minus({ days: 1 }).toISODate()),
+    },
+  };
+
+  const today = () => dayKeyIn(TZ, clock());
+
+  /* ─────────────── Lease ─────────────── */
+  // Takes job_locks/{job} for runId unless another run holds an unexpired lease.
+  // Taking over an expired lease marks the run that held it abandoned.
+  async function acquireLease(job, runId) {
+    const lockRef = db.collection(LOCKS).doc(job);
+    return db.runTransaction(async (tx) => {
+      const now = clock().getTime();
+      const lock = (await tx.get(lockRef)).data();
+      if (lock && Number(lock.leaseUntil) > now) return { acquired: false, heldBy: lock.owner, runId: lock.runId };
+
+      const staleRef = lock?.runId ? db.collection(RUNS).doc(lock.runId) : null;
+      const stale = staleRef ? (await tx.get(staleRef)).data() : null;
+      if (stale?.status === "running")
+        tx.update(staleRef, {
+          status: "abandoned",
+          finishedAt: ts(now),
+          error: `Lease held by ${lock.owner} expired before the run finished`,
+        });
+
+      tx.set(lockRef, { job, runId, owner: OWNER_ID, acquiredAt: now, leaseUntil: now + LEASE_MS });
+      return { acquired: true, abandonedRunId: stale?.status === "running" ? lock.runId : null };
+    });
+  }
+
+  // Renew (extend) or release the lease, only while this run still holds it.
+  async function touchLease(job, runId, { release = false } = {}) {
+    const lockRef = db.collection(LOCKS).doc(job);
+    return db.runTransaction(async (tx) => {
+      const lock = (await tx.get(lockRef)).data();
+      if (lock?.runId !== runId) return false;
+      if (release) tx.delete(lockRef);
+      else tx.update(lockRef, { leaseUntil: clock().getTime() + LEASE_MS });
+      return true;
+    });
+  }
+
+  /* ─────────────── Runs ─────────────── */
+  /**
+   * Takes the lease and starts the job without waiting for it.
+   * Returns { started: true, runId, done } (done resolves to { runId, status, result|error }),
+   * { started: false, heldBy, runId } when another run holds the lease, or { error, code }.
+   */
+  async function startRun(job, { trigger = "schedule", date, by } = {}) {
+    const def = JOBS[job];
+    if (!def) return { error: `Unknown job ${job}`, code: 404 };
+    if (date && !def.daily) return { error: `${job} does not take a date`, code: 400 };
+    const day = def.daily ? date || today() : null;
+    if (day && day > today()) return { error: `${day} is in the future`, code: 400 };
+
+    const runRef = db.collection(RUNS).doc();
+    const runId = runRef.id;
+    const lease = await acquireLease(job, runId);
+    if (!lease.acquired) {
+      log.info("Job already running", { job, heldBy: lease.heldBy, runId: lease.runId });
+      return { started: false, heldBy: lease.heldBy, runId: lease.runId };
+    }
+    if (lease.abandonedRunId) log.warn("Took over an expired job lease", { job, abandonedRunId: lease.abandonedRunId });
+
+    const started = clock().getTime();
+    await runRef.set({
+      runId,
+      job,
+      trigger: TRIGGERS.includes(trigger) ? trigger : "manual",
+      date: day,
+      by: by || null,
+      owner: OWNER_ID,
+      status: "running",
+      startedAt: ts(started),
+      finishedAt: null,
+      durationMs: null,
+      result: null,
+      error: null,
+    });
+
+    const done = runWithContext({ job, runId }, () => execute(job, runId, runRef, started, () => def.run({ date: day })));
+    return { started: true, runId, done };
+  }
+
+  async function execute(job, runId, runRef, started, fn) {
+    const renew = setInterval(() => {
+      touchLease(job, runId).catch((err) => log.error("Job lease not renewed", { err }));
+    }, RENEW_EVERY_MS);
+    if (renew.unref) renew.unref();
+
+    const finish = (fields) => {
+      const finished = clock().getTime();
+      return runRef
+        .update({ ...fields, finishedAt: ts(finished), durationMs: finished - started })
+        .catch((err) => log.error("Job run not saved", { err }));
+    };
+
+    try {
+      const result = await health.recordJobRun(job, fn);
+      await finish({ status: "succeeded", result: result || null });
+      log.info("Job succeeded", { durationMs: clock().getTime() - started });
+      return { runId, status: "succeeded", result };
+    } catch (e) {
+      await finish({ status: "failed", error: e.message });
+      log.error("Job failed", { err: e });
+      return { runId, status: "failed", error: e.message };
+    } finally {
+      clearInterval(renew);
+      await touchLease(job, runId, { release: true }).catch((err) => log.error("Job lease not released", { err }));
+    }
+  }
+
+  // startRun and wait: { started: false, ... } or the finished run.
+  async function runJob(job, opts) {
+    const r = await startRun(job, opts);
+    return r.started ? { started: true, ...(await r.done) } : r;
+  }
+
+  async function lastSuccess(job) {
+    const snap = await db
+      .collection(RUNS)
+      .where("job", "==", job)
+      .where("status", "==", "succeeded")
+      .orderBy(JOBS[job].daily ? "date" : "startedAt", "desc")
+      .limit(1)
+      .get();
+    return snap.empty ? null : snap.docs[0].data();
+  }
+
+  /* ─────────────── Catch-up ─────────────── */
+  /**
+   * Days a daily job still owes, oldest first: every day after its last successful one up to today
+   * (only today when it has no history). Gaps longer than JOB_CATCH_UP_DAYS are logged, not replayed.
+   */
+  async function dueDays(job) {
+    const until = today();
+    const last = (await lastSuccess(job))?.date;
+    if (!last) return [until];
+    const days = [];
+    for (let d = DateTime.fromISO(last, { zone: TZ }).plus({ days: 1 }); d.toISODate() <= until; d = d.plus({ days: 1 }))
+      days.push(d.toISODate());
+    const missed = days.length - 1; // today is due, not missed
+    if (missed > JOB_CATCH_UP_DAYS) {
+      const dropped = days.splice(0, missed - JOB_CATCH_UP_DAYS);
+      log.error("Missed days beyond the catch-up window; run them by hand", {
+        job,
+        from: dropped[0],
+        to: dropped[dropped.length - 1],
+      });
+    }
+    return days;
+  }
+
+  // A daily job's scheduled run: missed days first, then today. Stops at the first day that fails.
+  async function runDaily(job, trigger = "schedule") {
+    const days = await dueDays(job);
+    const runs = [];
+    for (const date of days) {
+      const r = await runJob(job, { trigger: date === days[days.length - 1] ? trigger : "catch_up", date });
+      runs.push({ date, ...r });
+      if (!r.started || r.status !== "succeeded") break;
+    }
+    return runs;
+  }
+
+  // On start-up: owed days of daily jobs, and interval jobs whose last success is overdue.
+  async function catchUp() {
+    const runs = {};
+    for (const [job, def] of Object.entries(JOBS)) {
+      try {
+        // No history yet: nothing to catch up, the schedule starts it.
+        const last = await lastSuccess(job);
+        if (!last) continue;
+        if (def.daily) runs[job] = await runDaily(job, "catch_up");
+        else if (clock().getTime() - last.startedAt.toMillis() > def.everyHours * 3600000)
+          runs[job] = await runJob(job, { trigger: "catch_up" });
+      } catch (e) {
+        log.error("Job catch-up failed", { job, err: e });
+      }
+    }
+    return runs;
+  }
+
+  /* ─────────────── History ─────────────── */
+  async function listRuns({ job, status, limit = 50 } = {}) {
+    let q = db.collection(RUNS);
+    if (job) q = q.where("job", "==", job);
+    if (status) q = q.where("status", "==", status);
+    const snap = await q.orderBy("startedAt", "desc").limit(Math.min(200, Math.max(1, limit))).get();
+    return snap.docs.map((d) => d.data());
+  }
+
+  async function getRun(runId) {
+    const snap = await db.collection(RUNS).doc(runId).get();
+    return snap.exists ? snap.data() : null;
+  }
+
+  return { JOBS, startRun, runJob, runDaily, dueDays, catchUp, listRuns, getRun };
+}
+
+module.exports = { createJobService, LEASE_MS };
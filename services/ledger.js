@@ -0,0 +1,50 @@
+// services/ledger.js — double-entry, append-only journal of wallet movements
+const admin = require("firebase-admin");
+const { round2 } = require("../lib/util");
+const { DEFAULT_CURRENCY } = require("../lib/countries");
+
+function createLedger({ db, provider }) {
+  // Every wallet movement is journalled here in the same transaction as the balance change.
+  // User accounts are liabilities: a credit raises the user's balance, a debit lowers it.
+  const LEDGER_ACCOUNTS = {
+    providerCash: `provider:${provider.name}`,
+    depositFees: "revenue:deposit_fees",
+    dailyReturns: "expense:daily_returns",
+    referralBonus: "expense:referral_bonus",
+    userStakes: (uid) => `user:${uid}:stakes`,
+    userReturns: (uid) => `user:${uid}:returns`,
+    userWithdrawHold: (uid) => `user:${uid}:withdrawals_held`,
+  };
+
+  /**
+   * Appends one balanced journal entry inside transaction `tx`.
+   * `id` should be deterministic (e.g. `dep-${txRef}`) so a replay fails instead of double-posting.
+   * lines: [{ account, debit?, credit? }] — all in one `currency`.
+   */
+  function postLedger(tx, { id, type, ref, memo, lines, currency = DEFAULT_CURRENCY }) {
+    const clean = lines
+      .map((l) => ({ account: l.account, debit: round2(l.debit || 0), credit: round2(l.credit || 0) }))
+      .filter((l) => l.debit || l.credit);
+    const debits = round2(clean.reduce((a, l) => a + l.debit, 0));
+    const credits = round2(clean.reduce((a, l) => a + l.credit, 0));
+    if (debits !== credits) throw new Error(`Unbalanced ledger entry ${id}: debit ${debits} ≠ credit ${credits}`);
+
+    const userIds = [
+      ...new Set(clean.map((l) => (l.account.match(/^user:([^:]+):/) || [])[1]).filter(Boolean)),
+    ];
+    tx.create(db.collection("ledger").doc(id), {
+      type,
+      ref: ref || null,
+      memo: memo || null,
+      lines: clean,
+      currency,
+      userIds,
+      total: debits,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  return { LEDGER_ACCOUNTS, postLedger };
+}
+
+module.exports = { createLedger };
@@ -0,0 +1,168 @@
+// services/notifications.js — transactional email outbox (Firestore `email_outbox`)
+// Payment paths only write an outbox doc; a poller renders and sends it, retrying with backoff.
+// A mail failure therefore never fails a deposit, payout or IPN.
+const os = require("os");
+const admin = require("firebase-admin");
+const { OUTBOX_POLL_MS } = require("../config");
+const { MAIL_FROM } = require("../lib/mailer");
+const { renderEmail } = require("../lib/email-templates");
+const { createLogger } = require("../lib/logger");
+
+const log = createLogger({ module: "notifications" });
+
+const OUTBOX = "email_outbox";
+const MAX_ATTEMPTS = 6;
+const BACKOFF_BASE_MS = 60 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+const LOCK_TTL_MS = 5 * 60 * 1000;
+const BATCH = 50;
+const SENDER_ID = `${os.hostname()}:${process.pid}`;
+
+// One email per (template, ref): re-queuing the same event is a no-op.
+const outboxId = (template, ref) => `${template}-${String(ref)}`.replace(/\//g, "_").slice(0, 500);
+
+/**
+ * db: Firestore, mailer: nodemailer transport (see ../lib/mailer), clock: () => Date.
+ * Users opt out with users/{uid}.emailOptOut = true; opted-out emails are marked `skipped`.
+ */
+function createNotificationService({ db, mailer, clock = () => new Date() }) {
+  const ts = (ms) => admin.firestore.Timestamp.fromMillis(ms);
+  let timer = null;
+  let running = false;
+
+  const outboxDoc = ({ template, ref, to, userId, data }) => ({
+    template,
+    ref: String(ref),
+    to: to || null,
+    userId: userId || null,
+    data: data || {},
+    status: "queued",
+    attempts: 0,
+    nextRunAt: ts(clock().getTime()),
+    lastError: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  // Inside the caller's transaction (the caller guarantees the event happens once).
+  function queueEmailInTx(tx, email) {
+    tx.create(db.collection(OUTBOX).doc(outboxId(email.template, email.ref)), outboxDoc(email));
+  }
+
+  // Outside a transaction; never throws, so callers can await it on a payment path.
+  async function queueEmail(email) {
+    try {
+      await db.collection(OUTBOX).doc(outboxId(email.template, email.ref)).create(outboxDoc(email));
+      return true;
+    } catch (e) {
+      if (e.code === 6 || /ALREADY_EXISTS/.test(e.message)) return false;
+      log.error("Email not queued", { template: email.template, ref: email.ref, err: e });
+      return false;
+    }
+  }
+
+  async function claim(id) {
+    const ref = db.collection(OUTBOX).doc(id);
+    return db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists) return null;
+      const m = snap.data() || {};
+      const now = clock().getTime();
+      const due = m.status === "queued" && (m.nextRunAt?.toMillis?.() ?? 0) <= now;
+      const stale = m.status === "sending" && now - Number(m.lockedAt || 0) > LOCK_TTL_MS;
+      if (!due && !stale) return null;
+      tx.update(ref, {
+        status: "sending",
+        lockedAt: now,
+        lockedBy: SENDER_ID,
+        attempts: admin.firestore.FieldValue.increment(1),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return { id, ...m, attempts: Number(m.attempts || 0) + 1 };
+    });
+  }
+
+  // Opt-out and a missing address are resolved at send time from the user doc.
+  async function recipient(m) {
+    let user = null;
+    if (m.userId) {
+      const snap = await db.collection("users").doc(m.userId).get();
+      user = snap.exists ? snap.data() || {} : null;
+    } else if (m.to) {
+      const q = await db.collection("users").where("email", "==", m.to).limit(1).get();
+      user = q.empty ? null : q.docs[0].data() || {};
+    }
+    return { to: m.to || user?.email || null, optedOut: user?.emailOptOut === true };
+  }
+
+  async function deliver(id) {
+    const m = await claim(id);
+    if (!m) return { claimed: false };
+    const ref = db.collection(OUTBOX).doc(id);
+    const done = (status, extra = {}) =>
+      ref.update({
+        status,
+        lockedAt: null,
+        ...extra,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+    try {
+      const { to, optedOut } = await recipient(m);
+      if (optedOut || !to) {
+        await done("skipped", { skipReason: optedOut ? "opted_out" : "no_address" });
+        return { claimed: true, status: "skipped" };
+      }
+      const { subject, text, html } = renderEmail(m.template, m.data);
+      const info = await mailer.sendMail({ from: MAIL_FROM, to, subject, text, html });
+      await done("sent", { to, subject, messageId: info?.messageId || null, lastError: null, sentAt: admin.firestore.FieldValue.serverTimestamp() });
+      log.info("Email sent", { template: m.template, ref: m.ref });
+      return { claimed: true, status: "sent" };
+    } catch (e) {
+      const exhausted = m.attempts >= MAX_ATTEMPTS;
+      const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (m.attempts - 1));
+      await done(exhausted ? "failed" : "queued", { lastError: e.message, nextRunAt: ts(clock().getTime() + delay) });
+      log.error("Email attempt failed", { template: m.template, ref: m.ref, attempt: m.attempts, err: e });
+      return { claimed: true, status: exhausted ? "failed" : "queued" };
+    }
+  }
+
+  async function processOutbox() {
+    const now = clock().getTime();
+    const [due, stale] = await Promise.all([
+      db.collection(OUTBOX).where("status", "==", "queued").where("nextRunAt", "<=", ts(now)).limit(BATCH).get(),
+      db.collection(OUTBOX).where("status", "==", "sending").where("lockedAt", "<", now - LOCK_TTL_MS).limit(BATCH).get(),
+    ]);
+    const counts = { sent: 0, skipped: 0, queued: 0, failed: 0 };
+    for (const doc of [...due.docs, ...stale.docs]) {
+      const r = await deliver(doc.id);
+      if (r.claimed) counts[r.status] += 1;
+    }
+    return counts;
+  }
+
+  function start() {
+    if (timer) return;
+    log.info("Email sender started", { pollMs: OUTBOX_POLL_MS });
+    timer = setInterval(async () => {
+      if (running) return;
+      running = true;
+      try {
+        await processOutbox();
+      } catch (e) {
+        log.error("Outbox sweep failed", { err: e });
+      } finally {
+        running = false;
+      }
+    }, OUTBOX_POLL_MS);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { queueEmail, queueEmailInTx, processOutbox, start, stop };
+}
+
+module.exports = { createNotificationService, outboxId };
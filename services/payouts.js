@@ -0,0 +1,385 @@
+// services/payouts.js — withdraw state machine, balance holds and provider payouts
+const os = require("os");
+const admin = require("firebase-admin");
+const { digitsOnly, round2 } = require("../lib/util");
+const { DEFAULT_CURRENCY, roundAmount, reviewThreshold } = require("../lib/countries");
+const { createLogger, runWithContext, addContext } = require("../lib/logger");
+const { metrics } = require("../lib/metrics");
+
+const log = createLogger({ module: "payouts" });
+
+// pending → processing → submitted → approved | failed
+// processing → pending only on retryable errors; the same providerTxRef is reused.
+// processing → approved/failed covers an IPN that beats our own "submitted" write.
+// review (over the manual-approval threshold) and on_hold wait for an operator:
+// approve → pending, reject → failed (refunded), hold → on_hold.
+const WITHDRAW_TRANSITIONS = {
+  pending: ["processing", "failed", "on_hold"],
+  review: ["pending", "failed", "on_hold"],
+  on_hold: ["pending", "failed"],
+  processing: ["pending", "submitted", "approved", "failed"],
+  submitted: ["approved", "failed"],
+  approved: [],
+  failed: [],
+};
+const WITHDRAW_LOCK_TTL_MS = 10 * 60 * 1000; // a crashed worker's claim expires after this
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Legacy docs were set to "PAID" before SiliconPay answered; treat them as submitted.
+const withdrawStatus = (s) => {
+  const v = String(s || "pending").toLowerCase();
+  return v === "paid" ? "submitted" : v;
+};
+
+const canTransitionWithdraw = (from, to) =>
+  (WITHDRAW_TRANSITIONS[withdrawStatus(from)] || []).includes(to);
+
+const withdrawTxRef = (withdrawalId, w) => w.providerTxRef || `WD-${withdrawalId}`;
+
+// No answer, 5xx, auth or throttling: the outcome is unknown or not the withdrawal's fault.
+const isRetryablePayoutError = (err) => {
+  const code = err.response?.status;
+  return !code || code >= 500 || code === 401 || code === 429;
+};
+
+// Large payouts are never sent without a recorded operator approval.
+const needsApproval = (w) => Number(w.amount || 0) > reviewThreshold(w.currency || DEFAULT_CURRENCY);
+
+function createPayoutService({ db, provider, ledger, risk, notifications, webhooks, clock = () => new Date() }) {
+  const { LEDGER_ACCOUNTS, postLedger } = ledger;
+
+  /**
+   * Moves a withdraw to `to` inside a transaction.
+   * Returns the pre-transition data (with normalised status) or null when the
+   * transition is illegal from the current state; illegal attempts are logged.
+   * Final states release the returnsWallet hold: refunded on failed, settled on approved.
+   * `by` (operator uid, or "service") is recorded in statusHistory for manual decisions.
+   * `guard(data)` is checked against the doc read inside the transaction; only a guarded call
+   * may "move" a withdraw to the status it already has (an in-place operator decision).
+   * Reaching approved or failed queues the user's email and publishes withdrawal.approved|failed
+   * in the same transaction, whichever path (IPN, payout, operator, reconciliation) settled it.
+   */
+  async function transitionWithdraw(withdrawalId, to, fields = {}, { by, guard } = {}) {
+    const ref = db.collection("withdraws").doc(withdrawalId);
+    return db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists) throw new Error(`Withdrawal ${withdrawalId} not found`);
+      const data = snap.data() || {};
+      const from = withdrawStatus(data.status);
+
+      const legal = from === to ? Boolean(guard) : canTransitionWithdraw(from, to);
+      if (!legal || (guard && !guard(data))) {
+        log.warn("Illegal withdrawal transition rejected", { withdrawalId, from, to });
+        return null;
+      }
+
+      const holdUpdates = {};
+      const held = data.hold?.status === "held" && data.userId;
+      if (held && (to === "failed" || to === "approved")) {
+        const amount = round2(Number(data.hold.amount || 0));
+        const refund = to === "failed";
+        tx.update(db.collection("users").doc(data.userId), {
+          ...(refund ? { returnsWallet: admin.firestore.FieldValue.increment(amount) } : {}),
+          pendingWithdrawals: admin.firestore.FieldValue.increment(-amount),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        const uid = data.userId;
+        const currency = data.currency || DEFAULT_CURRENCY;
+        if (!refund)
+          tx.set(
+            db.collection("company").doc("metrics"),
+            { byCurrency: { [currency]: { withdrawals: admin.firestore.FieldValue.increment(amount) } } },
+            { merge: true }
+          );
+        postLedger(tx, refund
+          ? {
+              id: `wdr-${withdrawalId}`,
+              type: "withdrawal_refund",
+              ref: withdrawalId,
+              memo: "Withdrawal failed; hold returned",
+              currency,
+              lines: [
+                { account: LEDGER_ACCOUNTS.userWithdrawHold(uid), debit: amount },
+                { account: LEDGER_ACCOUNTS.userReturns(uid), credit: amount },
+              ],
+            }
+          : {
+              id: `wdp-${withdrawalId}`,
+              type: "payout",
+              ref: withdrawalId,
+              memo: "Withdrawal paid out",
+              currency,
+              lines: [
+                { account: LEDGER_ACCOUNTS.userWithdrawHold(uid), debit: amount },
+                { account: LEDGER_ACCOUNTS.providerCash, credit: amount },
+              ],
+            });
+        holdUpdates["hold.status"] = refund ? "refunded" : "settled";
+        holdUpdates["hold.releasedAt"] = admin.firestore.FieldValue.serverTimestamp();
+        if (refund) log.info("Withdrawal hold refunded", { withdrawalId, userId: data.userId, amount, currency });
+      }
+      if (notifications && (to === "approved" || to === "failed"))
+        notifications.queueEmailInTx(tx, {
+          template: `withdrawal_${to}`,
+          ref: withdrawalId,
+          userId: data.userId,
+          to: data.emailAddress || null,
+          data: {
+            withdrawalId,
+            amount: data.amount,
+            currency: data.currency,
+            phone: data.phone || data.account || null,
+            reason: to === "failed" ? fields.errorMessage || null : null,
+          },
+        });
+      if (webhooks && (to === "approved" || to === "failed"))
+        webhooks.publishInTx(tx, `withdrawal.${to}`, withdrawalId, {
+          withdrawalId,
+          txRef: data.providerTxRef || null,
+          userId: data.userId || null,
+          amount: data.amount,
+          currency: data.currency || DEFAULT_CURRENCY,
+          reason: to === "failed" ? fields.errorMessage || null : null,
+        });
+
+      tx.update(ref, {
+        ...fields,
+        ...holdUpdates,
+        status: to,
+        statusHistory: admin.firestore.FieldValue.arrayUnion({
+          from,
+          to,
+          at: clock().toISOString(),
+          ...(by ? { by } : {}),
+        }),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return { ...data, status: from };
+    });
+  }
+
+  /**
+   * Claims a withdraw for payout: pending (or processing with an expired lock) → processing.
+   * Only one caller can win; the others get null. Assigns the stable provider txRef.
+   * Withdraws without a server-side balance hold (written directly by clients) are never claimed.
+   */
+  async function claimWithdraw(withdrawalId) {
+    const ref = db.collection("withdraws").doc(withdrawalId);
+    return db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists) return null;
+      const data = snap.data() || {};
+      const from = withdrawStatus(data.status);
+      const stale =
+        from === "processing" && clock().getTime() - Number(data.lockedAt || 0) > WITHDRAW_LOCK_TTL_MS;
+      if (from !== "pending" && !stale) return null;
+      if (data.hold?.status !== "held") {
+        log.warn("Withdrawal has no balance hold; not paying out", { withdrawalId });
+        return null;
+      }
+      if (needsApproval(data) && !data.approval) {
+        log.warn("Withdrawal over the review threshold and not approved; not paying out", { withdrawalId });
+        return null;
+      }
+
+      const providerTxRef = withdrawTxRef(withdrawalId, data);
+      tx.update(ref, {
+        status: "processing",
+        txRef: providerTxRef,
+        providerTxRef,
+        lockedAt: clock().getTime(),
+        lockedBy: WORKER_ID,
+        attempts: admin.firestore.FieldValue.increment(1),
+        statusHistory: admin.firestore.FieldValue.arrayUnion({
+          from,
+          to: "processing",
+          at: clock().toISOString(),
+        }),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return { ...data, providerTxRef };
+    });
+  }
+
+  /* ── Withdraw (payout) ── */
+  // Every log line of one payout (ours and the provider's) carries withdrawalId and txRef.
+  // `token` is optional: the provider caches its own bearer token.
+  const sendPayout = (withdrawalId, token) => runWithContext({ withdrawalId }, () => payWithdraw(withdrawalId, token));
+
+  async function payWithdraw(withdrawalId, token) {
+    const withdrawal = await claimWithdraw(withdrawalId);
+    if (!withdrawal) {
+      log.info("Withdrawal not claimable (taken, not pending or unheld)");
+      return { claimed: false };
+    }
+    addContext({ txRef: withdrawal.providerTxRef });
+
+    const phone = digitsOnly(withdrawal.account || withdrawal.phone);
+    const currency = withdrawal.currency || DEFAULT_CURRENCY;
+    const amount = Math.max(0, roundAmount(withdrawal.amount, currency));
+
+    if (!phone || !amount) {
+      log.error("Invalid withdrawal payload", { phone, amount: withdrawal.amount });
+      await transitionWithdraw(withdrawalId, "failed", { errorMessage: "Invalid phone or amount" });
+      return { claimed: true, status: "failed" };
+    }
+
+    const txRef = withdrawal.providerTxRef;
+
+    try {
+      const { accepted, providerRef, message } = await provider.payout(
+        {
+          txRef,
+          phone,
+          amount,
+          email: withdrawal.emailAddress || "noreply@oblinks.app",
+          reason: withdrawal.reason || "User Withdrawal",
+          callbackUrl: process.env.IPN_URL,
+          currency,
+        },
+        { token }
+      );
+
+      if (accepted) {
+        await transitionWithdraw(withdrawalId, "submitted", {
+          providerRef,
+          submittedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        metrics.payouts.inc({ currency, outcome: "submitted" });
+        metrics.payoutsAmount.inc({ currency }, amount);
+        return { claimed: true, status: "submitted" };
+      }
+
+      await transitionWithdraw(withdrawalId, "failed", {
+        errorMessage: message || "Transfer rejected",
+      });
+      log.warn("Withdrawal rejected by provider", { message });
+      metrics.payouts.inc({ currency, outcome: "failed" });
+      return { claimed: true, status: "failed" };
+    } catch (err) {
+      log.error("Withdrawal payout error", { err });
+      const errorMessage = err.response?.data?.message || err.message;
+      const next = isRetryablePayoutError(err) ? "pending" : "failed";
+      metrics.payouts.inc({ currency, outcome: next === "pending" ? "retry" : "failed" });
+      await transitionWithdraw(withdrawalId, next, { errorMessage });
+      return { claimed: true, status: next };
+    }
+  }
+
+  /**
+   * Creates a withdraw and moves `amount` from returnsWallet into the hold, in one transaction.
+   * idemKey (optional) makes retries return the existing withdraw instead of holding twice.
+   * `currency` must be the wallet's currency: balances are never converted.
+   * Risk limits (./risk) are checked in the same transaction; a risk flag sends it to review.
+   */
+  async function requestWithdrawal({ userId, amount, phone, email, reason, idemKey, currency = DEFAULT_CURRENCY }) {
+    const userRef = db.collection("users").doc(userId);
+    const wRef = idemKey
+      ? db.collection("withdraws").doc(`${userId}_${idemKey}`)
+      : db.collection("withdraws").doc();
+
+    const result = await db.runTransaction(async (tx) => {
+      const [userSnap, existing] = await Promise.all([tx.get(userRef), tx.get(wRef)]);
+      if (existing.exists) return { existing: true, withdraw: existing.data() };
+      if (!userSnap.exists) return { error: "User not found", code: 404 };
+
+      const walletCurrency = userSnap.data()?.currency || DEFAULT_CURRENCY;
+      if (walletCurrency !== currency) return { error: `Wallet currency is ${walletCurrency}`, code: 400 };
+      const balance = round2(Number(userSnap.data()?.returnsWallet || 0));
+      if (amount > balance) return { error: "Insufficient balance", code: 409 };
+
+      const check = risk
+        ? await risk.checkWithdrawal(tx, { userId, user: userSnap.data() || {}, phone, amount, currency })
+        : { ok: true, flags: [], apply: () => {} };
+      check.apply(tx);
+      if (!check.ok) return { error: check.message, code: check.status, risk: check };
+
+      const providerTxRef = `WD-${wRef.id}`;
+      const riskFlags = check.flags || [];
+      const review = needsApproval({ amount, currency }) || riskFlags.length > 0;
+      const withdraw = {
+        userId,
+        amount,
+        currency,
+        phone,
+        account: phone,
+        emailAddress: email,
+        reason,
+        status: review ? "review" : "pending",
+        needsApproval: review,
+        ...(riskFlags.length ? { riskFlags } : {}),
+        txRef: providerTxRef,
+        providerTxRef,
+        hold: { amount, status: "held", source: "returnsWallet" },
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+
+      tx.update(userRef, {
+        returnsWallet: admin.firestore.FieldValue.increment(-amount),
+        pendingWithdrawals: admin.firestore.FieldValue.increment(amount),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      tx.set(wRef, withdraw);
+      postLedger(tx, {
+        id: `wdh-${wRef.id}`,
+        type: "withdrawal_hold",
+        ref: wRef.id,
+        memo: "Withdrawal requested; funds held",
+        currency,
+        lines: [
+          { account: LEDGER_ACCOUNTS.userReturns(userId), debit: amount },
+          { account: LEDGER_ACCOUNTS.userWithdrawHold(userId), credit: amount },
+        ],
+      });
+      return { withdraw };
+    });
+
+    if (!result.error && !result.existing)
+      log.info("Withdrawal requested", { withdrawalId: wRef.id, userId, amount, currency, status: result.withdraw.status });
+    const event = { action: "withdrawal", userId, phone, amount, currency, ref: wRef.id };
+    if (result.risk) await risk.recordRiskEvent({ ...event, ref: null, ...result.risk });
+    else if (result.withdraw?.riskFlags && !result.existing)
+      await risk.recordRiskEvent({ ...event, type: "flagged", code: result.withdraw.riskFlags.join(","), message: "Sent to review" });
+    return { ...result, withdrawalId: wRef.id };
+  }
+
+  /**
+   * Operator decision on one withdraw: "approve" (review/on_hold → pending, payable by the sweep),
+   * "reject" (→ failed, hold refunded) or "hold" (pending/review → on_hold).
+   * Returns { status } or { error, code } when the withdraw is missing or the move is illegal.
+   */
+  async function reviewWithdraw(withdrawalId, action, { by, reason } = {}) {
+    const at = clock().toISOString();
+    const decision = { by: by || null, at, reason: reason || null };
+    const moves = {
+      approve: ["pending", { approval: decision }],
+      reject: ["failed", { rejection: decision, errorMessage: reason || "Rejected by operator" }],
+      hold: ["on_hold", { onHold: decision }],
+    };
+    if (!moves[action]) return { error: `Unknown action ${action}`, code: 400 };
+    const [to, fields] = moves[action];
+
+    const ref = db.collection("withdraws").doc(withdrawalId);
+    const snap = await ref.get();
+    if (!snap.exists) return { error: "Withdrawal not found", code: 404 };
+    const data = snap.data() || {};
+
+    // Pending withdraws from before the threshold existed are approved in place, at most once.
+    const inPlace = action === "approve" && withdrawStatus(data.status) === "pending";
+    const guard =
+      action === "approve"
+        ? (w) => withdrawStatus(w.status) !== "pending" || (needsApproval(w) && !w.approval)
+        : undefined;
+
+    const prev = await transitionWithdraw(withdrawalId, to, fields, { by, guard });
+    if (!prev && inPlace) return { error: "Withdrawal is already payable", code: 409 };
+    if (!prev) return { error: `Cannot ${action} a withdrawal in status ${withdrawStatus(data.status)}`, code: 409 };
+    log.info("Withdrawal reviewed", { withdrawalId, action, by, from: prev.status, to });
+    return { status: to, from: prev.status };
+  }
+
+  return { transitionWithdraw, claimWithdraw, sendPayout, requestWithdrawal, reviewWithdraw };
+}
+
+module.exports = { createPayoutService, withdrawStatus, needsApproval, WITHDRAW_TRANSITIONS };
@@ -0,0 +1,133 @@
+// services/reconciliation.js — settles deposits / payments / withdraws whose IPN never arrived
+const admin = require("firebase-admin");
+const { DateTime } = require("luxon");
+const { TZ, RECONCILE_AFTER_MIN, RECONCILE_BATCH } = require("../config");
+const { isSuccess, isFailure } = require("../lib/util");
+const { createLogger, runWithContext } = require("../lib/logger");
+
+const log = createLogger({ module: "reconciliation" });
+
+function createReconciliationService({ db, provider, deposits, payouts, subscriptions, clock }) {
+  const { settleSuccessfulDeposit } = deposits;
+  const { transitionWithdraw } = payouts;
+
+  async function olderThan(collection, status, field, cutoff) {
+    const snap = await db
+      .collection(collection)
+      .where("status", "==", status)
+      .where(field, "<", admin.firestore.Timestamp.fromDate(cutoff))
+      .limit(RECONCILE_BATCH)
+      .get();
+    return snap.docs;
+  }
+
+  async function reconcileDeposit(doc, remote) {
+    const d = doc.data() || {};
+    if (isSuccess(remote.status)) {
+      const result = await settleSuccessfulDeposit(doc.ref, d, remote.amount, remote.msisdn, { reconciled: remote.raw });
+      if (!result.credited) return { action: "needs_review", mismatch: result.reviewReason };
+      if (result.alreadyCredited) return { action: "none" }; // the IPN landed while we were asking
+      return { action: "credited", mismatch: "IPN never arrived (provider successful)" };
+    }
+    if (isFailure(remote.status)) {
+      await doc.ref.update({ status: "failed", updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+      return { action: "failed" };
+    }
+    return { action: "none" };
+  }
+
+  async function reconcilePayment(doc, remote) {
+    const final = isSuccess(remote.status) ? "approved" : isFailure(remote.status) ? "failed" : null;
+    if (!final) return { action: "none" };
+    // approved commits with the fulfilment, so a fulfilment that throws leaves it pending for the next run.
+    if (final === "approved" && subscriptions) {
+      const fulfilment = await subscriptions.fulfilPayment(doc.id, Number(remote.amount), { markApproved: true });
+      if (fulfilment.reason === "needs_review") return { action: "needs_review", mismatch: fulfilment.reviewReason };
+    } else {
+      await doc.ref.update({ status: final, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    }
+    return { action: final, mismatch: final === "approved" ? "IPN never arrived (provider successful)" : null };
+  }
+
+  async function reconcileWithdraw(doc, remote) {
+    const final = isSuccess(remote.status) ? "approved" : isFailure(remote.status) ? "failed" : null;
+    if (!final) return { action: "none" };
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const prev = await transitionWithdraw(doc.id, final, {
+      ...(final === "approved" ? { paidAt: now } : { errorMessage: "Failed per provider status (reconciliation)" }),
+      reconciledAt: now,
+    });
+    if (!prev) return { action: "none", mismatch: `illegal transition to ${final}` };
+    return { action: final };
+  }
+
+  /**
+   * Finds deposits, payments and withdraws stuck past RECONCILE_AFTER_MIN, asks SiliconPay
+   * for their status and settles them. Writes a `reconciliation_reports` doc for operators.
+   */
+  const runReconciliation = () => runWithContext({ job: "reconciliation" }, reconcileAll);
+
+  async function reconcileAll() {
+    const startedAt = DateTime.fromJSDate(clock()).setZone(TZ).toISO();
+    log.info("Reconciliation started", { startedAt, tz: TZ });
+    const cutoff = new Date(clock().getTime() - RECONCILE_AFTER_MIN * 60 * 1000);
+
+    const targets = [
+      // initiated: the process stopped between saving the deposit and recording the prompt.
+      ...(await olderThan("deposits", "initiated", "createdAt", cutoff)).map((doc) => ({ kind: "deposits", doc })),
+      ...(await olderThan("deposits", "pending", "createdAt", cutoff)).map((doc) => ({ kind: "deposits", doc })),
+      ...(await olderThan("payments", "pending", "createdAt", cutoff)).map((doc) => ({ kind: "payments", doc })),
+      ...(await olderThan("withdraws", "submitted", "updatedAt", cutoff)).map((doc) => ({ kind: "withdraws", doc })),
+      ...(await olderThan("withdraws", "processing", "updatedAt", cutoff)).map((doc) => ({ kind: "withdraws", doc })),
+    ];
+
+    const items = [];
+    const counts = { checked: 0, settled: 0, mismatches: 0, errors: 0 };
+
+    for (const { kind, doc } of targets) {
+      const data = doc.data() || {};
+      const txRef = kind === "withdraws" ? data.providerTxRef || data.txRef : doc.id;
+      const item = { collection: kind, id: doc.id, txRef: txRef || null, localStatus: data.status || null };
+      counts.checked += 1;
+      await runWithContext({ txRef: txRef || null, [kind === "withdraws" ? "withdrawalId" : "docId"]: doc.id }, async () => {
+        try {
+          if (!txRef) throw new Error("No txRef on document");
+          const remote = await provider.status(txRef);
+          item.providerStatus = remote.status;
+
+          const handler = { deposits: reconcileDeposit, payments: reconcilePayment, withdraws: reconcileWithdraw }[kind];
+          const { action, mismatch } = await handler(doc, remote);
+          item.action = action;
+          if (action !== "none") counts.settled += 1;
+          if (mismatch) {
+            item.mismatch = mismatch;
+            counts.mismatches += 1;
+          }
+        } catch (e) {
+          item.error = e.response?.data?.message || e.message;
+          counts.errors += 1;
+          log.error("Reconcile failed", { collection: kind, err: e });
+        }
+      });
+      items.push(item);
+    }
+
+    const reportRef = db.collection("reconciliation_reports").doc();
+    await reportRef.set({
+      startedAt,
+      finishedAt: DateTime.fromJSDate(clock()).setZone(TZ).toISO(),
+      thresholdMinutes: RECONCILE_AFTER_MIN,
+      ...counts,
+      items,
+      needsReview: items.filter((i) => i.mismatch || i.error),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    log.info("Reconciliation done", { ...counts, reportId: reportRef.id });
+    return { ok: true, reportId: reportRef.id, ...counts };
+  }
+
+  return { runReconciliation };
+}
+
+module.exports = { createReconciliationService };
@@ -0,0 +1,225 @@
+// services/reports.js — daily financial figures per currency, for operators
+// Money movements come from the ledger (deposits, withdrawal holds/payouts/refunds, daily returns,
+// referral bonuses) and package revenue from fulfilled OBlinks payments, bucketed by calendar day
+// in TZ. daily_reports/{YYYY-MM-DD} snapshots closed days so reports don't rescan them; a ledger
+// entry's createdAt never changes, so a closed day's figures are final.
+const admin = require("firebase-admin");
+const { DateTime } = require("luxon");
+const { TZ } = require("../config");
+const { round2, dayKeyIn } = require("../lib/util");
+const { DEFAULT_CURRENCY } = require("../lib/countries");
+const { createLogger } = require("../lib/logger");
+
+const log = createLogger({ module: "reports" });
+
+const SNAPSHOTS = "daily_reports";
+const MAX_RANGE_DAYS = 366;
+
+const emptyFigures = () => ({
+  deposits: { count: 0, gross: 0, fees: 0, principal: 0 },
+  withdrawals: { requestedCount: 0, requested: 0, paidCount: 0, paid: 0, refunded: 0, pendingAtClose: 0 },
+  packages: { count: 0, revenue: 0 },
+  dailyReturns: { count: 0, paid: 0 },
+  referralBonuses: { count: 0, paid: 0 },
+  reversals: { count: 0, gross: 0, clawedBack: 0 },
+});
+
+const figuresFor = (byCurrency, currency = DEFAULT_CURRENCY) => {
+  if (!byCurrency[currency]) byCurrency[currency] = emptyFigures();
+  return byCurrency[currency];
+};
+
+// Adds b's figures into a (same shape; pendingAtClose is a level, so the later day's wins).
+function addFigures(a, b) {
+  for (const [group, fields] of Object.entries(b))
+    for (const [k, v] of Object.entries(fields))
+      a[group][k] = k === "pendingAtClose" ? v : round2(a[group][k] + v);
+  return a;
+}
+
+const CSV_COLUMNS = [
+  ["date", (d) => d.date],
+  ["currency", (d, c) => c],
+  ["deposits_count", (d, c, f) => f.deposits.count],
+  ["deposits_gross", (d, c, f) => f.deposits.gross],
+  ["deposit_fees", (d, c, f) => f.deposits.fees],
+  ["net_principal", (d, c, f) => f.deposits.principal],
+  ["withdrawals_requested_count", (d, c, f) => f.withdrawals.requestedCount],
+  ["withdrawals_requested", (d, c, f) => f.withdrawals.requested],
+  ["withdrawals_paid_count", (d, c, f) => f.withdrawals.paidCount],
+  ["withdrawals_paid", (d, c, f) => f.withdrawals.paid],
+  ["withdrawals_refunded", (d, c, f) => f.withdrawals.refunded],
+  ["withdrawals_pending_at_close", (d, c, f) => f.withdrawals.pendingAtClose],
+  ["package_sales", (d, c, f) => f.packages.count],
+  ["package_revenue", (d, c, f) => f.packages.revenue],
+  ["daily_returns_count", (d, c, f) => f.dailyReturns.count],
+  ["daily_returns_paid", (d, c, f) => f.dailyReturns.paid],
+  ["referral_bonuses_paid", (d, c, f) => f.referralBonuses.paid],
+  ["reversals_count", (d, c, f) => f.reversals?.count ?? 0],
+  ["reversals_gross", (d, c, f) => f.reversals?.gross ?? 0],
+  ["reversals_clawed_back", (d, c, f) => f.reversals?.clawedBack ?? 0],
+  ["source", (d) => d.source],
+];
+
+const csvCell = (v) => {
+  const s = v === null || v === undefined ? "" : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+const csvHeader = () => `${CSV_COLUMNS.map(([name]) => name).join(",")}\n`;
+// One line per currency with activity that day.
+const csvRows = (day) =>
+  Object.entries(day.byCurrency)
+    .map(([currency, f]) => `${CSV_COLUMNS.map(([, get]) => csvCell(get(day, currency, f))).join(",")}\n`)
+    .join("");
+
+// clock: () => Date.
+function createReportService({ db, clock = () => new Date() }) {
+  const ts = (ms) => admin.firestore.Timestamp.fromMillis(ms);
+  const today = () => dayKeyIn(TZ, clock());
+
+  const dayWindow = (date) => {
+    const start = DateTime.fromISO(date, { zone: TZ }).startOf("day");
+    return [ts(start.toMillis()), ts(start.plus({ days: 1 }).toMillis())];
+  };
+
+  // Outstanding withdrawal holds right now (requested, not yet paid or refunded), by currency.
+  async function pendingWithdrawals() {
+    const snap = await db.collection("withdraws").where("hold.status", "==", "held").get();
+    const out = {};
+    for (const doc of snap.docs) {
+      const w = doc.data() || {};
+      const currency = w.currency || DEFAULT_CURRENCY;
+      out[currency] = round2((out[currency] || 0) + Number(w.hold?.amount || 0));
+    }
+    return out;
+  }
+
+  // One day's figures from the ledger and payments, { [currency]: figures }.
+  async function computeDay(date) {
+    const [start, end] = dayWindow(date);
+    const [ledger, payments] = await Promise.all([
+      db.collection("ledger").where("createdAt", ">=", start).where("createdAt", "<", end).get(),
+      db.collection("payments").where("fulfilledAt", ">=", start).where("fulfilledAt", "<", end).get(),
+    ]);
+
+    const byCurrency = {};
+    const credit = (entry, prefix) =>
+      round2(entry.lines.filter((l) => l.account.startsWith(prefix)).reduce((a, l) => a + l.credit, 0));
+
+    for (const doc of ledger.docs) {
+      const e = doc.data() || {};
+      const f = figuresFor(byCurrency, e.currency);
+      const total = Number(e.total || 0);
+      switch (e.type) {
+        case "deposit":
+          f.deposits.count += 1;
+          f.deposits.gross = round2(f.deposits.gross + total);
+          f.deposits.fees = round2(f.deposits.fees + credit(e, "revenue:deposit_fees"));
+          f.deposits.principal = round2(f.deposits.principal + credit(e, "user:"));
+          break;
+        case "withdrawal_hold":
+          f.withdrawals.requestedCount += 1;
+          f.withdrawals.requested = round2(f.withdrawals.requested + total);
+          break;
+        case "payout":
+          f.withdrawals.paidCount += 1;
+          f.withdrawals.paid = round2(f.withdrawals.paid + total);
+          break;
+        case "withdrawal_refund":
+          f.withdrawals.refunded = round2(f.withdrawals.refunded + total);
+          break;
+        case "daily_return":
+          f.dailyReturns.count += 1;
+          f.dailyReturns.paid = round2(f.dailyReturns.paid + total);
+          break;
+        case "referral_bonus":
+          f.referralBonuses.count += 1;
+          f.referralBonuses.paid = round2(f.referralBonuses.paid + total);
+          break;
+        // Reversals are reported on the day they happen; the original day's figures stay as they were.
+        case "deposit_reversal":
+          f.reversals.count += 1;
+          f.reversals.gross = round2(f.reversals.gross + total);
+          break;
+        case "returns_clawback":
+        case "referral_bonus_clawback":
+          f.reversals.clawedBack = round2(f.reversals.clawedBack + total);
+          break;
+        default:
+          break;
+      }
+    }
+    for (const doc of payments.docs) {
+      const p = doc.data() || {};
+      if (!p.fulfilled || !p.packageSnapshot) continue;
+      const f = figuresFor(byCurrency, p.currency || p.packageSnapshot.currency);
+      f.packages.count += 1;
+      f.packages.revenue = round2(f.packages.revenue + Number(p.packageSnapshot.price || 0));
+    }
+    return byCurrency;
+  }
+
+  /**
+   * Writes daily_reports/{date} for a closed day (run by the worker shortly after midnight).
+   * pendingAtClose is the outstanding holds when the snapshot is taken.
+   */
+  async function writeSnapshot(date) {
+    if (date >= today()) throw new Error(`${date} is not closed yet`);
+    const [byCurrency, pending] = await Promise.all([computeDay(date), pendingWithdrawals()]);
+    for (const [currency, amount] of Object.entries(pending)) figuresFor(byCurrency, currency).withdrawals.pendingAtClose = amount;
+    await db.collection(SNAPSHOTS).doc(date).set({
+      date,
+      tz: TZ,
+      byCurrency,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    log.info("Daily report written", { date, currencies: Object.keys(byCurrency) });
+    return { ok: true, date, currencies: Object.keys(byCurrency).length };
+  }
+
+  /**
+   * Days from..to (YYYY-MM-DD, inclusive), oldest first: { date, source, byCurrency }.
+   * source is "snapshot" or "live" (today, or a day the worker has not snapshotted).
+   */
+  async function* reportDays(from, to) {
+    for (let d = DateTime.fromISO(from, { zone: TZ }); d.toISODate() <= to; d = d.plus({ days: 1 })) {
+      const date = d.toISODate();
+      const snap = date < today() ? await db.collection(SNAPSHOTS).doc(date).get() : null;
+      if (snap?.exists) {
+        yield { date, source: "snapshot", byCurrency: snap.data().byCurrency || {} };
+        continue;
+      }
+      const byCurrency = await computeDay(date);
+      if (date === today())
+        for (const [currency, amount] of Object.entries(await pendingWithdrawals()))
+          figuresFor(byCurrency, currency).withdrawals.pendingAtClose = amount;
+      yield { date, source: "live", byCurrency };
+    }
+  }
+
+  // { error, code } for a bad range, else null.
+  function checkRange(from, to) {
+    if (from > to) return { error: "from must not be after to", code: 400 };
+    if (to > today()) return { error: `${to} is in the future`, code: 400 };
+    const days = DateTime.fromISO(to).diff(DateTime.fromISO(from), "days").days + 1;
+    if (days > MAX_RANGE_DAYS) return { error: `At most ${MAX_RANGE_DAYS} days per report`, code: 400 };
+    return null;
+  }
+
+  // JSON report: per-day figures plus totals per currency over the range.
+  async function getReport(from, to) {
+    const bad = checkRange(from, to);
+    if (bad) return bad;
+    const days = [];
+    const totals = {};
+    for await (const day of reportDays(from, to)) {
+      days.push(day);
+      for (const [currency, f] of Object.entries(day.byCurrency)) addFigures(figuresFor(totals, currency), f);
+    }
+    return { from, to, tz: TZ, totals, days };
+  }
+
+  return { computeDay, writeSnapshot, reportDays, checkRange, getReport, csvHeader, csvRows };
+}
+
+module.exports = { createReportService, SNAPSHOTS };
@@ -0,0 +1,143 @@
+// services/returns.js — daily accrual of stake returns into users' returnsWallet
+const admin = require("firebase-admin");
+const { DateTime } = require("luxon");
+const { TZ, DAILY_RATE } = require("../config");
+const { round2, dayKeyIn } = require("../lib/util");
+const { createLogger, runWithContext } = require("../lib/logger");
+const { metrics } = require("../lib/metrics");
+
+const log = createLogger({ module: "returns" });
+
+// clock: () => Date; the day key (in TZ, the zone the cron fires in) guards against paying a
+// stake twice for one day. Days only move forward: a stake already paid for a later day is skipped.
+function createReturnsService({ db, ledger, notifications, webhooks, clock }) {
+  const { LEDGER_ACCOUNTS, postLedger } = ledger;
+
+  // date: "YYYY-MM-DD" to accrue a missed day (see ./jobs); defaults to today in TZ.
+  const runDailyReturns = ({ date } = {}) =>
+    runWithContext({ job: "daily-returns" }, () => metrics.dailyReturnsDuration.time({}, () => accrueAll(date)));
+
+  async function accrueAll(date) {
+    const started = DateTime.fromJSDate(clock()).setZone(TZ).toISO();
+    const today = date || dayKeyIn(TZ, clock());
+    log.info("Daily returns started", { startedAt: started, tz: TZ, date: today });
+    // A stake earns from the day it was created: catching up an earlier day must not pay it.
+    const dayEndMs = DateTime.fromISO(today, { zone: TZ }).plus({ days: 1 }).toMillis();
+    const createdAfterDay = (s) => (s.createdAt?.toMillis?.() ?? 0) >= dayEndMs;
+    const pageSize = 500;
+
+    let processed = 0;
+    let paidTotal = 0;
+    let cursor = null;
+
+    while (true) {
+      let q = db
+        .collection("stakes")
+        .where("status", "==", "active")
+        .where("remainingDays", ">", 0)
+        .orderBy("remainingDays")
+        .orderBy("stakeId")
+        .limit(pageSize);
+
+      if (cursor) q = q.startAfter(cursor);
+      const snap = await q.get();
+      if (snap.empty) break;
+
+      for (const doc of snap.docs) {
+        const stake = doc.data() || {};
+        const stakeId = doc.id;
+        const userId = stake.userId;
+        const remaining = Number(stake.remainingDays || 0);
+        const lastDate = stake.lastProcessedDate || null;
+        if (!userId || remaining <= 0) continue;
+        if (lastDate && lastDate >= today) continue;
+        if (createdAfterDay(stake)) continue;
+
+        const principal = Number(stake.principal || 0);
+        const rate = Number(stake.dailyRate || DAILY_RATE);
+        const daily = round2(principal * rate);
+        const newRemaining = remaining - 1;
+
+        try {
+          await db.runTransaction(async (tx) => {
+            const userRef = db.collection("users").doc(userId);
+            const stakeRef = db.collection("stakes").doc(stakeId);
+
+            const sSnap = await tx.get(stakeRef);
+            const s = sSnap.data() || {};
+            if (s.status !== "active") return; // e.g. reversed since the query ran
+            if (s.lastProcessedDate && s.lastProcessedDate >= today) return;
+            if (Number(s.remainingDays || 0) <= 0) return;
+
+            tx.update(userRef, {
+              returnsWallet: admin.firestore.FieldValue.increment(daily),
+              updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+            postLedger(tx, {
+              id: `ret-${stakeId}-${today}`,
+              type: "daily_return",
+              ref: stakeId,
+              memo: `Daily return ${today}`,
+              ...(stake.currency ? { currency: stake.currency } : {}),
+              lines: [
+                { account: LEDGER_ACCOUNTS.dailyReturns, debit: daily },
+                { account: LEDGER_ACCOUNTS.userReturns(userId), credit: daily },
+              ],
+            });
+
+            const updates = {
+              earnedSoFar: admin.firestore.FieldValue.increment(daily),
+              remainingDays: newRemaining,
+              lastProcessedAt: admin.firestore.FieldValue.serverTimestamp(),
+              lastProcessedDate: today,
+            };
+            if (newRemaining <= 0) {
+              updates.status = "completed";
+              updates.completedAt = admin.firestore.FieldValue.serverTimestamp();
+              if (notifications)
+                notifications.queueEmailInTx(tx, {
+                  template: "stake_completed",
+                  ref: stakeId,
+                  userId,
+                  data: {
+                    stakeId,
+                    principal,
+                    currency: stake.currency,
+                    earned: round2(Number(s.earnedSoFar || 0) + daily),
+                  },
+                });
+              if (webhooks)
+                webhooks.publishInTx(tx, "stake.completed", stakeId, {
+                  stakeId,
+                  userId,
+                  principal,
+                  currency: stake.currency || null,
+                  earned: round2(Number(s.earnedSoFar || 0) + daily),
+                });
+            }
+            tx.update(stakeRef, updates);
+          });
+
+          processed += 1;
+          paidTotal += daily;
+        } catch (e) {
+          log.error("Stake daily accrual failed", { stakeId, err: e });
+        }
+      }
+
+      cursor = snap.docs[snap.docs.length - 1];
+      if (!cursor || snap.size < pageSize) break;
+    }
+
+    log.info("Daily returns done", { date: today, processed, paidTotal: round2(paidTotal) });
+    metrics.dailyReturnsStakes.inc({}, processed);
+    metrics.dailyReturnsPaid.inc({}, round2(paidTotal));
+    metrics.dailyReturnsLastSuccess.set({}, Math.floor(clock().getTime() / 1000));
+
+    return { ok: true, date: today, processed, paidTotal: round2(paidTotal), rate: DAILY_RATE };
+  }
+
+  return { runDailyReturns };
+}
+
+module.exports = { createReturnsService };
@@ -0,0 +1,229 @@
+// services/risk.js — fraud and velocity limits on deposits and withdrawals
+// Rules live in Firestore (config/risk_limits) over the defaults below, so operators can tighten
+// them without a deploy. Rejections and flags are written to `risk_events` for review.
+const admin = require("firebase-admin");
+const { round2 } = require("../lib/util");
+const { DEFAULT_CURRENCY } = require("../lib/countries");
+const { createLogger } = require("../lib/logger");
+
+const log = createLogger({ module: "risk" });
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const RULES_TTL_MS = 60 * 1000;
+
+// Amount limits per currency and action; caps are rolling 24h / 7d sums per user and per phone.
+const DEFAULT_RISK_LIMITS = {
+  currencies: {
+    UGX: {
+      deposit: { min: 500, max: 5000000, dailyMax: 10000000, weeklyMax: 30000000 },
+      withdrawal: { min: 500, max: 5000000, dailyMax: 5000000, weeklyMax: 15000000 },
+    },
+    KES: {
+      deposit: { min: 10, max: 150000, dailyMax: 300000, weeklyMax: 1000000 },
+      withdrawal: { min: 10, max: 150000, dailyMax: 150000, weeklyMax: 500000 },
+    },
+    TZS: {
+      deposit: { min: 500, max: 3000000, dailyMax: 6000000, weeklyMax: 20000000 },
+      withdrawal: { min: 500, max: 3000000, dailyMax: 3000000, weeklyMax: 10000000 },
+    },
+    RWF: {
+      deposit: { min: 100, max: 1500000, dailyMax: 3000000, weeklyMax: 10000000 },
+      withdrawal: { min: 100, max: 1500000, dailyMax: 1500000, weeklyMax: 5000000 },
+    },
+  },
+  maxAccountsPerPhone: 3,
+  phoneChangeCooldownHours: 24,
+  flagWithdrawToNonDepositPhone: true,
+};
+
+// Error codes returned to clients (with the HTTP status the routes use).
+const RISK_CODES = {
+  AMOUNT_BELOW_MIN: 422,
+  AMOUNT_ABOVE_MAX: 422,
+  USER_DAILY_LIMIT: 429,
+  USER_WEEKLY_LIMIT: 429,
+  PHONE_DAILY_LIMIT: 429,
+  PHONE_WEEKLY_LIMIT: 429,
+  PHONE_SHARED_LIMIT: 403,
+  PHONE_CHANGE_COOLDOWN: 403,
+};
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+function mergeDeep(base, over) {
+  const out = { ...base };
+  for (const [k, v] of Object.entries(over || {}))
+    out[k] = isPlainObject(v) && isPlainObject(base[k]) ? mergeDeep(base[k], v) : v;
+  return out;
+}
+
+const reject = (code, message, details = {}) => ({ ok: false, code, status: RISK_CODES[code], message, details });
+
+function createRiskService({ db, clock = () => new Date() }) {
+  const rulesRef = db.collection("config").doc("risk_limits");
+  const ts = (ms) => admin.firestore.Timestamp.fromMillis(ms);
+  let cached = null;
+
+  async function getLimits({ fresh = false } = {}) {
+    const now = Date.now();
+    if (!fresh && cached && now - cached.at < RULES_TTL_MS) return cached.limits;
+    const snap = await rulesRef.get();
+    const limits = mergeDeep(DEFAULT_RISK_LIMITS, snap.exists ? snap.data() : {});
+    cached = { at: now, limits };
+    return limits;
+  }
+
+  async function updateLimits(patch, by) {
+    await rulesRef.set(
+      { ...patch, updatedBy: by || null, updatedAt: admin.firestore.FieldValue.serverTimestamp() },
+      { merge: true }
+    );
+    cached = null;
+    return getLimits({ fresh: true });
+  }
+
+  async function recordRiskEvent({ type = "rejected", action, code, userId, phone, amount, currency, message, details, ref }) {
+    try {
+      await db.collection("risk_events").add({
+        type,
+        action,
+        code,
+        userId: userId || null,
+        phone: phone || null,
+        amount: amount ?? null,
+        currency: currency || null,
+        message: message || null,
+        details: details || null,
+        ref: ref || null,
+        reviewed: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    } catch (e) {
+      log.error("Risk event not recorded", { err: e });
+    }
+    log.warn(`Risk ${type}`, { action, code, userId, phone, amount, currency });
+  }
+
+  // Rolling sums over `collection` for one field value, ignoring failed records. `get` is tx.get or plain get.
+  async function windowSums(get, collection, field, value) {
+    const now = clock().getTime();
+    const snap = await get(
+      db.collection(collection).where(field, "==", value).where("createdAt", ">=", ts(now - 7 * DAY_MS))
+    );
+    let day = 0;
+    let week = 0;
+    for (const d of snap.docs) {
+      const r = d.data() || {};
+      if (r.status === "failed") continue;
+      const amount = Number(r.expectedAmount ?? r.amount ?? 0);
+      week += amount;
+      if ((r.createdAt?.toMillis?.() ?? 0) >= now - DAY_MS) day += amount;
+    }
+    return { day: round2(day), week: round2(week) };
+  }
+
+  async function checkAmountAndCaps(get, { action, collection, userId, phone, amount, currency }) {
+    const limits = await getLimits();
+    const rule = limits.currencies?.[currency]?.[action];
+    if (!rule) return { ok: true, limits };
+
+    if (rule.min != null && amount < rule.min)
+      return reject("AMOUNT_BELOW_MIN", `Minimum ${action} is ${currency} ${rule.min}`, { min: rule.min });
+    if (rule.max != null && amount > rule.max)
+      return reject("AMOUNT_ABOVE_MAX", `Maximum ${action} is ${currency} ${rule.max}`, { max: rule.max });
+
+    const checks = [
+      ["USER", "userId", userId],
+      ["PHONE", "phone", phone],
+    ];
+    for (const [who, field, value] of checks) {
+      if (!value) continue;
+      const sums = await windowSums(get, collection, field, value);
+      if (rule.dailyMax != null && sums.day + amount > rule.dailyMax)
+        return reject(`${who}_DAILY_LIMIT`, `Daily ${action} limit of ${currency} ${rule.dailyMax} reached`, sums);
+      if (rule.weeklyMax != null && sums.week + amount > rule.weeklyMax)
+        return reject(`${who}_WEEKLY_LIMIT`, `Weekly ${action} limit of ${currency} ${rule.weeklyMax} reached`, sums);
+    }
+    return { ok: true, limits };
+  }
+
+  // phone_links/{msisdn}.userIds: accounts that have used the number.
+  async function checkPhoneShare(get, limits, phone, userId) {
+    const ref = db.collection("phone_links").doc(String(phone));
+    const link = (await get(ref)).data() || {};
+    const users = Array.isArray(link.userIds) ? link.userIds : [];
+    if (!users.includes(userId) && users.length >= Number(limits.maxAccountsPerPhone))
+      return reject("PHONE_SHARED_LIMIT", "This phone number is linked to too many accounts", { accounts: users.length });
+    return { ok: true, ref, linked: users.includes(userId) };
+  }
+
+  const linkPhone = (write, ref, userId) =>
+    write(ref, { userIds: admin.firestore.FieldValue.arrayUnion(userId), updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+
+  /**
+   * Deposit initiation. Returns { ok: true } or a rejection { ok: false, code, status, message }.
+   * On success the phone is linked to the user and remembered as a depositing phone.
+   */
+  async function checkDeposit({ userId, phone, amount, currency = DEFAULT_CURRENCY }) {
+    const get = (q) => q.get();
+    const base = await checkAmountAndCaps(get, { action: "deposit", collection: "deposits", userId, phone, amount, currency });
+    const verdict = base.ok ? await checkPhoneShare(get, base.limits, phone, userId) : base;
+    if (!verdict.ok) {
+      await recordRiskEvent({ action: "deposit", userId, phone, amount, currency, ...verdict });
+      return verdict;
+    }
+    if (!verdict.linked) await linkPhone((ref, data) => ref.set(data, { merge: true }), verdict.ref, userId);
+    await db.collection("users").doc(userId).set({ depositPhones: admin.firestore.FieldValue.arrayUnion(phone) }, { merge: true });
+    return { ok: true };
+  }
+
+  /**
+   * Withdrawal request, run inside the hold transaction so concurrent requests can't both pass a cap.
+   * Does reads only; call `apply(tx)` after the caller's own reads to record the phone bookkeeping.
+   * Returns { ok, flags: [], apply } or a rejection (which still carries `apply`, e.g. to start a cooldown).
+   */
+  async function checkWithdrawal(tx, { userId, user, phone, amount, currency = DEFAULT_CURRENCY }) {
+    const get = (q) => tx.get(q);
+    const base = await checkAmountAndCaps(get, { action: "withdrawal", collection: "withdraws", userId, phone, amount, currency });
+    if (!base.ok) return { ...base, apply: () => {} };
+    const limits = base.limits;
+    const share = await checkPhoneShare(get, limits, phone, userId);
+    if (!share.ok) return { ...share, apply: () => {} };
+
+    const userRef = db.collection("users").doc(userId);
+    const now = clock().getTime();
+    const apply = (writes) => (t) => {
+      if (!share.linked) linkPhone((ref, data) => t.set(ref, data, { merge: true }), share.ref, userId);
+      if (writes) t.set(userRef, writes, { merge: true });
+    };
+
+    // A new payout number starts a cooldown; the first one ever used does not.
+    const cooldownMs = Number(limits.phoneChangeCooldownHours || 0) * HOUR_MS;
+    const changedAt = user.payoutPhoneChangedAt?.toMillis?.() ?? 0;
+    if (user.payoutPhone && user.payoutPhone !== phone && cooldownMs > 0) {
+      const verdict = reject(
+        "PHONE_CHANGE_COOLDOWN",
+        `Payout number changed; withdrawals resume after ${limits.phoneChangeCooldownHours}h`,
+        { previous: user.payoutPhone }
+      );
+      return { ...verdict, apply: apply({ payoutPhone: phone, payoutPhoneChangedAt: ts(now) }) };
+    }
+    if (changedAt && now - changedAt < cooldownMs) {
+      const verdict = reject("PHONE_CHANGE_COOLDOWN", "Payout number changed recently; try again later", {
+        until: new Date(changedAt + cooldownMs).toISOString(),
+      });
+      return { ...verdict, apply: apply(null) };
+    }
+
+    const flags = [];
+    const depositPhones = Array.isArray(user.depositPhones) ? user.depositPhones : [];
+    if (limits.flagWithdrawToNonDepositPhone && depositPhones.length && !depositPhones.includes(phone))
+      flags.push("phone_not_used_for_deposit");
+
+    return { ok: true, flags, apply: apply(user.payoutPhone ? null : { payoutPhone: phone }) };
+  }
+
+  return { getLimits, updateLimits, checkDeposit, checkWithdrawal, recordRiskEvent };
+}
+
+module.exports = { createRiskService, DEFAULT_RISK_LIMITS, RISK_CODES };
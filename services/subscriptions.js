@@ -0,0 +1,174 @@
+// services/subscriptions.js — OBlinks package catalog and subscription fulfilment
+const admin = require("firebase-admin");
+const { round2 } = require("../lib/util");
+const { DEFAULT_CURRENCY, roundAmount } = require("../lib/countries");
+const { createLogger } = require("../lib/logger");
+
+const log = createLogger({ module: "subscriptions" });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// packages/{packageId}: { name, price, currency, durationDays, entitlements: [], active }
+// subscriptions/{email}__{packageId}: one record per buyer and package, extended on renewal.
+const subscriptionId = (email, packageId) =>
+  `${String(email).trim().toLowerCase()}__${packageId}`.replace(/\//g, "_").slice(0, 500);
+
+const toIso = (v) => (v?.toDate ? v.toDate().toISOString() : v || null);
+
+function createSubscriptionService({ db, webhooks, clock = () => new Date() }) {
+  const ts = (ms) => admin.firestore.Timestamp.fromMillis(ms);
+
+  // The catalog entry a client may buy, or null when unknown or withdrawn from sale.
+  async function getPackage(packageId) {
+    if (!packageId) return null;
+    const snap = await db.collection("packages").doc(String(packageId)).get();
+    const p = snap.exists ? snap.data() || {} : null;
+    if (!p || p.active === false) return null;
+    const currency = p.currency || DEFAULT_CURRENCY;
+    const price = roundAmount(p.price, currency);
+    const durationDays = Number(p.durationDays);
+    if (!(price > 0) || !(durationDays > 0)) return null;
+    return {
+      id: snap.id,
+      name: p.name || snap.id,
+      price,
+      currency,
+      durationDays,
+      entitlements: Array.isArray(p.entitlements) ? p.entitlements : [],
+    };
+  }
+
+  /**
+   * Activates (or extends) the subscription bought by an approved payment, once per payment.
+   * Uses the package snapshot taken at /start-payment, so catalog edits don't touch paid orders.
+   * A provider-reported amount that disagrees parks the payment in needs_review instead.
+   * markApproved also sets the payment's status to approved in the same commit (reconciliation).
+   */
+  async function fulfilPayment(txRef, reportedAmount, { markApproved = false } = {}) {
+    const payRef = db.collection("payments").doc(txRef);
+    const approved = markApproved ? { status: "approved", updatedAt: admin.firestore.FieldValue.serverTimestamp() } : {};
+    return db.runTransaction(async (tx) => {
+      const paySnap = await tx.get(payRef);
+      const pay = paySnap.data() || {};
+      const pkg = pay.packageSnapshot;
+      if (!pkg || !pay.email || pay.fulfilled) {
+        if (markApproved && paySnap.exists) tx.update(payRef, approved);
+        return pay.fulfilled
+          ? { fulfilled: false, reason: "already_fulfilled", subscriptionId: pay.subscriptionId }
+          : { fulfilled: false, reason: "not_a_package_payment" };
+      }
+
+      const reported = Number.isFinite(reportedAmount) && reportedAmount > 0 ? round2(reportedAmount) : null;
+      if (reported !== null && reported !== round2(pkg.price)) {
+        const reviewReason = `Amount mismatch: expected ${pkg.price}, provider reported ${reported}`;
+        log.warn("Payment needs review", { txRef, reviewReason });
+        tx.update(payRef, { status: "needs_review", reviewReason, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+        return { fulfilled: false, reason: "needs_review", reviewReason };
+      }
+
+      const subId = subscriptionId(pay.email, pkg.id);
+      const subRef = db.collection("subscriptions").doc(subId);
+      const subSnap = await tx.get(subRef);
+      const sub = subSnap.exists ? subSnap.data() || {} : null;
+
+      // Renewals stack onto time still left; a lapsed subscription restarts from now.
+      const now = clock().getTime();
+      const currentEnd = sub?.expiresAt?.toMillis?.() ?? 0;
+      const from = Math.max(now, currentEnd);
+      const expiresAt = ts(from + pkg.durationDays * DAY_MS);
+
+      tx.set(
+        subRef,
+        {
+          email: String(pay.email).trim().toLowerCase(),
+          packageId: pkg.id,
+          packageName: pkg.name,
+          entitlements: pkg.entitlements || [],
+          status: "active",
+          startedAt: sub && currentEnd > now ? sub.startedAt : ts(now),
+          expiresAt,
+          lastPaymentRef: txRef,
+          paymentRefs: admin.firestore.FieldValue.arrayUnion(txRef),
+          ...(sub ? {} : { createdAt: admin.firestore.FieldValue.serverTimestamp() }),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        },
+        { merge: true }
+      );
+      tx.update(payRef, {
+        ...approved,
+        fulfilled: true,
+        fulfilledAt: admin.firestore.FieldValue.serverTimestamp(),
+        subscriptionId: subId,
+      });
+
+      if (webhooks)
+        webhooks.publishInTx(tx, "payment.approved", txRef, {
+          txRef,
+          email: pay.email,
+          package: pay.package,
+          amount: Number(pay.amount),
+          currency: pay.currency,
+          subscriptionId: subId,
+          expiresAt: expiresAt.toDate().toISOString(),
+        });
+
+      log.info("Subscription active", { txRef, subscriptionId: subId, expiresAt: expiresAt.toDate().toISOString() });
+      return { fulfilled: true, subscriptionId: subId, expiresAt: expiresAt.toDate().toISOString() };
+    });
+  }
+
+  /* ─────────────── Expiry job ─────────────── */
+  async function expireSubscriptions() {
+    const now = clock().getTime();
+    const snap = await db
+      .collection("subscriptions")
+      .where("status", "==", "active")
+      .where("expiresAt", "<=", ts(now))
+      .limit(500)
+      .get();
+
+    let expired = 0;
+    for (const doc of snap.docs) {
+      // Re-check inside a transaction: a renewal may have landed since the query.
+      const done = await db.runTransaction(async (tx) => {
+        const s = (await tx.get(doc.ref)).data() || {};
+        if (s.status !== "active" || (s.expiresAt?.toMillis?.() ?? 0) > now) return false;
+        tx.update(doc.ref, {
+          status: "expired",
+          expiredAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return true;
+      });
+      if (done) expired += 1;
+    }
+    log.info("Subscriptions expired", { expired });
+    return { ok: true, expired };
+  }
+
+  async function listForEmail(email) {
+    const snap = await db
+      .collection("subscriptions")
+      .where("email", "==", String(email).trim().toLowerCase())
+      .get();
+    const now = clock().getTime();
+    return snap.docs.map((d) => {
+      const s = d.data() || {};
+      return {
+        id: d.id,
+        packageId: s.packageId,
+        packageName: s.packageName,
+        entitlements: s.entitlements || [],
+        // The expiry job runs hourly; don't report a lapsed subscription as active meanwhile.
+        status: s.status === "active" && (s.expiresAt?.toMillis?.() ?? 0) <= now ? "expired" : s.status,
+        startedAt: toIso(s.startedAt),
+        expiresAt: toIso(s.expiresAt),
+        lastPaymentRef: s.lastPaymentRef || null,
+      };
+    });
+  }
+
+  return { getPackage, fulfilPayment, expireSubscriptions, listForEmail };
+}
+
+module.exports = { createSubscriptionService, subscriptionId };
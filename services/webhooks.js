@@ -0,0 +1,311 @@
+// services/webhooks.js — signed outbound webhooks for the OBlinks / MoneyGamez front ends
+// Payment paths only write a webhook_events doc (in their own transaction where they have one);
+// a poller fans each event out to the subscribed webhook_endpoints as webhook_deliveries and
+// POSTs them, retrying with backoff. A client outage therefore never fails a deposit or an IPN.
+const os = require("os");
+const crypto = require("crypto");
+const axios = require("axios");
+const admin = require("firebase-admin");
+const { WEBHOOK_POLL_MS } = require("../config");
+const { createLogger } = require("../lib/logger");
+
+const log = createLogger({ module: "webhooks" });
+
+const ENDPOINTS = "webhook_endpoints";
+const EVENTS = "webhook_events";
+const DELIVERIES = "webhook_deliveries";
+const WEBHOOK_EVENTS = [
+  "deposit.credited",
+  "deposit.reversed",
+  "payment.approved",
+  "withdrawal.approved",
+  "withdrawal.failed",
+  "stake.completed",
+];
+const MAX_ATTEMPTS = 8;
+const BACKOFF_BASE_MS = 30 * 1000; // 30s, 1m, 2m … capped at 6h
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+const LOCK_TTL_MS = 5 * 60 * 1000;
+const TIMEOUT_MS = 10 * 1000;
+const ATTEMPT_LOG_SIZE = 10;
+const BATCH = 50;
+const SENDER_ID = `${os.hostname()}:${process.pid}`;
+
+// One event per (type, ref): publishing the same outcome twice is a no-op.
+const eventId = (type, ref) => `${type}-${String(ref)}`.replace(/\//g, "_").slice(0, 500);
+
+/**
+ * X-OBlinks-Signature: "t=<unix seconds>,v1=<hex HMAC-SHA256(secret, `${t}.${body}`)>".
+ * Receivers recompute v1 over the raw body and reject old t values to stop replays.
+ */
+const signPayload = (secret, body, t) =>
+  `t=${t},v1=${crypto.createHmac("sha256", secret).update(`${t}.${body}`).digest("hex")}`;
+
+/**
+ * db: Firestore, http: axios-like client (injectable for tests), clock: () => Date.
+ * Endpoints: { url, events: [type] | ["*"], secret, active, description }.
+ */
+function createWebhookService({ db, http = axios, clock = () => new Date() }) {
+  const ts = (ms) => admin.firestore.Timestamp.fromMillis(ms);
+  let timer = null;
+  let running = false;
+
+  const eventDoc = (type, ref, data) => ({
+    type,
+    ref: String(ref),
+    data: data || {},
+    status: "pending",
+    occurredAt: clock().toISOString(),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  // Inside the caller's transaction (the caller guarantees the event happens once).
+  function publishInTx(tx, type, ref, data) {
+    tx.create(db.collection(EVENTS).doc(eventId(type, ref)), eventDoc(type, ref, data));
+  }
+
+  // Outside a transaction; never throws, so callers can await it on a payment path.
+  async function publish(type, ref, data) {
+    try {
+      await db.collection(EVENTS).doc(eventId(type, ref)).create(eventDoc(type, ref, data));
+      return true;
+    } catch (e) {
+      if (e.code === 6 || /ALREADY_EXISTS/.test(e.message)) return false;
+      log.error("Webhook event not recorded", { type, ref, err: e });
+      return false;
+    }
+  }
+
+  /* ─────────────── Endpoints ─────────────── */
+  // The secret is only ever returned here, at registration.
+  async function createEndpoint({ url, events, description, by }) {
+    const ref = db.collection(ENDPOINTS).doc();
+    const secret = `whsec_${crypto.randomBytes(24).toString("hex")}`;
+    await ref.set({
+      url,
+      events,
+      secret,
+      active: true,
+      description: description || null,
+      createdBy: by || null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    log.info("Webhook endpoint registered", { endpointId: ref.id, url, events });
+    return { id: ref.id, url, events, secret };
+  }
+
+  async function listEndpoints() {
+    const snap = await db.collection(ENDPOINTS).get();
+    return snap.docs.map((d) => {
+      const endpoint = { id: d.id, ...d.data() };
+      delete endpoint.secret;
+      return endpoint;
+    });
+  }
+
+  async function deleteEndpoint(id) {
+    const ref = db.collection(ENDPOINTS).doc(id);
+    if (!(await ref.get()).exists) return false;
+    await ref.delete();
+    return true;
+  }
+
+  /* ─────────────── Fan-out ─────────────── */
+  // pending event → one queued delivery per active endpoint subscribed to its type.
+  async function dispatch(id) {
+    const ref = db.collection(EVENTS).doc(id);
+    return db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      const e = snap.data();
+      if (!e || e.status !== "pending") return 0;
+      const endpoints = (await tx.get(db.collection(ENDPOINTS).where("active", "==", true))).docs.filter((d) => {
+        const events = d.data()?.events || [];
+        return events.includes("*") || events.includes(e.type);
+      });
+      const payload = { id, type: e.type, createdAt: e.occurredAt, data: e.data };
+      for (const endpoint of endpoints)
+        tx.create(db.collection(DELIVERIES).doc(`${id}__${endpoint.id}`), {
+          eventId: id,
+          type: e.type,
+          endpointId: endpoint.id,
+          url: endpoint.data().url,
+          payload,
+          status: "queued",
+          attempts: 0,
+          maxAttempts: MAX_ATTEMPTS,
+          nextRunAt: ts(clock().getTime()),
+          lastError: null,
+          lastHttpStatus: null,
+          attemptLog: [],
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      tx.update(ref, { status: "dispatched", deliveries: endpoints.length, dispatchedAt: admin.firestore.FieldValue.serverTimestamp() });
+      return endpoints.length;
+    });
+  }
+
+  /* ─────────────── Delivery ─────────────── */
+  async function claim(id) {
+    const ref = db.collection(DELIVERIES).doc(id);
+    return db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists) return null;
+      const d = snap.data() || {};
+      const now = clock().getTime();
+      const due = d.status === "queued" && (d.nextRunAt?.toMillis?.() ?? 0) <= now;
+      const stale = d.status === "sending" && now - Number(d.lockedAt || 0) > LOCK_TTL_MS;
+      if (!due && !stale) return null;
+      tx.update(ref, {
+        status: "sending",
+        lockedAt: now,
+        lockedBy: SENDER_ID,
+        attempts: admin.firestore.FieldValue.increment(1),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return { id, ...d, attempts: Number(d.attempts || 0) + 1 };
+    });
+  }
+
+  // Any 2xx is delivered; everything else (including a deleted endpoint) is retried, then failed.
+  async function deliver(id) {
+    const d = await claim(id);
+    if (!d) return { claimed: false };
+    const ref = db.collection(DELIVERIES).doc(id);
+    const started = Date.now();
+    let httpStatus = null;
+
+    try {
+      const endpoint = (await db.collection(ENDPOINTS).doc(d.endpointId).get()).data();
+      if (!endpoint?.active) throw new Error("Endpoint removed or inactive");
+      const body = JSON.stringify(d.payload);
+      const res = await http.post(endpoint.url, body, {
+        timeout: TIMEOUT_MS,
+        validateStatus: () => true,
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "OBlinks-Webhooks/1",
+          "X-OBlinks-Event": d.type,
+          "X-OBlinks-Delivery": id,
+          "X-OBlinks-Signature": signPayload(endpoint.secret, body, Math.floor(clock().getTime() / 1000)),
+        },
+      });
+      httpStatus = Number(res?.status);
+      if (!(httpStatus >= 200 && httpStatus < 300)) throw new Error(`Endpoint answered HTTP ${httpStatus}`);
+    } catch (e) {
+      httpStatus = httpStatus ?? e.response?.status ?? null;
+      const exhausted = d.attempts >= Number(d.maxAttempts || MAX_ATTEMPTS);
+      const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (d.attempts - 1));
+      await ref.update({
+        status: exhausted ? "failed" : "queued",
+        lockedAt: null,
+        lastError: e.message,
+        lastHttpStatus: httpStatus,
+        nextRunAt: ts(clock().getTime() + delay),
+        attemptLog: appendAttempt(d, { httpStatus, error: e.message, durationMs: Date.now() - started }),
+        ...(exhausted ? { failedAt: admin.firestore.FieldValue.serverTimestamp() } : {}),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      log.warn("Webhook attempt failed", { deliveryId: id, attempt: d.attempts, httpStatus, err: e });
+      return { claimed: true, status: exhausted ? "failed" : "queued" };
+    }
+
+    await ref.update({
+      status: "delivered",
+      lockedAt: null,
+      lastError: null,
+      lastHttpStatus: httpStatus,
+      attemptLog: appendAttempt(d, { httpStatus, error: null, durationMs: Date.now() - started }),
+      deliveredAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    log.info("Webhook delivered", { deliveryId: id, type: d.type, attempt: d.attempts });
+    return { claimed: true, status: "delivered" };
+  }
+
+  // The last ATTEMPT_LOG_SIZE attempts, newest last.
+  const appendAttempt = (d, entry) =>
+    [...(d.attemptLog || []), { at: clock().toISOString(), attempt: d.attempts, ...entry }].slice(-ATTEMPT_LOG_SIZE);
+
+  // One sweep: fan out pending events, then send due and stale deliveries.
+  async function processWebhooks() {
+    const pending = await db.collection(EVENTS).where("status", "==", "pending").limit(BATCH).get();
+    for (const doc of pending.docs) await dispatch(doc.id);
+
+    const now = clock().getTime();
+    const [due, stale] = await Promise.all([
+      db.collection(DELIVERIES).where("status", "==", "queued").where("nextRunAt", "<=", ts(now)).limit(BATCH).get(),
+      db.collection(DELIVERIES).where("status", "==", "sending").where("lockedAt", "<", now - LOCK_TTL_MS).limit(BATCH).get(),
+    ]);
+    const counts = { delivered: 0, queued: 0, failed: 0 };
+    for (const doc of [...due.docs, ...stale.docs]) {
+      const r = await deliver(doc.id);
+      if (r.claimed) counts[r.status] += 1;
+    }
+    return counts;
+  }
+
+  /* ─────────────── Delivery log ─────────────── */
+  async function listDeliveries({ status, endpointId, limit = 50 } = {}) {
+    let q = db.collection(DELIVERIES);
+    if (status) q = q.where("status", "==", status);
+    if (endpointId) q = q.where("endpointId", "==", endpointId);
+    const snap = await q.orderBy("createdAt", "desc").limit(Math.min(200, Math.max(1, limit))).get();
+    return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  }
+
+  // Operator replay of a failed delivery: fresh attempt budget, sent right away.
+  async function replayDelivery(id, actor) {
+    const ref = db.collection(DELIVERIES).doc(id);
+    const ok = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists || snap.data()?.status !== "failed") return false;
+      tx.update(ref, {
+        status: "queued",
+        attempts: 0,
+        nextRunAt: ts(clock().getTime()),
+        replayedBy: actor || null,
+        replayedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return true;
+    });
+    return ok ? deliver(id) : null;
+  }
+
+  function start() {
+    if (timer) return;
+    log.info("Webhook sender started", { pollMs: WEBHOOK_POLL_MS });
+    timer = setInterval(async () => {
+      if (running) return;
+      running = true;
+      try {
+        await processWebhooks();
+      } catch (e) {
+        log.error("Webhook sweep failed", { err: e });
+      } finally {
+        running = false;
+      }
+    }, WEBHOOK_POLL_MS);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    publish,
+    publishInTx,
+    createEndpoint,
+    listEndpoints,
+    deleteEndpoint,
+    processWebhooks,
+    listDeliveries,
+    replayDelivery,
+    start,
+    stop,
+  };
+}
+
+module.exports = { createWebhookService, signPayload, eventId, WEBHOOK_EVENTS };
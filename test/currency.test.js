@@ -0,0 +1,94 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, ENV } = require("./support/harness");
+const { normalizeMsisdn, roundAmount } = require("../lib/countries");
+
+let t;
+before(async () => {
+  t = await startTestApp();
+  t.db.seed("users/kofi", { totalDeposited: 0, returnsWallet: 0 });
+});
+after(() => t.close());
+
+test("phone numbers are validated and normalised per country", () => {
+  assert.equal(normalizeMsisdn("0772 123 456", "UG"), "256772123456");
+  assert.equal(normalizeMsisdn("+256772123456", "UG"), "256772123456");
+  assert.equal(normalizeMsisdn("0712345678", "KE"), "254712345678");
+  assert.equal(normalizeMsisdn("110345678", "KE"), "254110345678");
+  assert.equal(normalizeMsisdn("0712345678", "TZ"), "255712345678");
+  assert.equal(normalizeMsisdn("0412345678", "UG"), null); // landline prefix
+  assert.equal(normalizeMsisdn("077212345", "UG"), null); // too short
+  assert.equal(normalizeMsisdn("0772123456", "ZZ"), null);
+
+  assert.equal(roundAmount(1100.5, "KES"), 1101);
+  assert.equal(roundAmount(10.005, "USD"), 10.01);
+});
+
+test("a KES deposit is charged, stored and totalled in KES", async () => {
+  const pay = await t.request("POST", "/api/pay", {
+    token: "kofi",
+    body: { userId: "kofi", amount: 1100.4, phone: "0712345678", country: "KE" },
+  });
+  assert.equal(pay.status, 200);
+  const txRef = pay.body.transaction_ref;
+
+  const sent = t.http.calls.find((c) => c.url === ENV.SILICON_COLLECT_URL && c.payload.txRef === txRef).payload;
+  assert.equal(sent.currency, "KES");
+  assert.equal(sent.phone, "254712345678");
+  assert.equal(Number(sent.amount), 1100);
+
+  await t.request("POST", "/ipn", { body: t.signIpn({ txRef, status: "successful", amount: 1100 }) });
+  assert.equal(t.db.dump("deposits")[txRef].currency, "KES");
+  assert.equal(t.db.dump("stakes")[txRef].currency, "KES");
+  assert.equal(t.db.dump("users").kofi.currency, "KES");
+  assert.equal(t.db.dump("ledger")[`dep-${txRef}`].currency, "KES");
+  // transfers follows once the distributor has run the stake's job (see distributor.test.js).
+  const kes = t.db.dump("company").metrics.byCurrency.KES;
+  assert.deepEqual([kes.stakes, kes.deposits], [1000, 1100]);
+
+  // The wallet is now KES: a UGX deposit is refused rather than mixed in.
+  const ugx = await t.request("POST", "/api/pay", {
+    token: "kofi",
+    body: { userId: "kofi", amount: 1100, phone: "0772123456", country: "UG" },
+  });
+  assert.equal(ugx.status, 400);
+});
+
+test("withdrawals pay out in the wallet currency to a number in its country", async () => {
+  t.db.seed("users/kofi", { ...t.db.dump("users").kofi, returnsWallet: 500 });
+
+  const wrongCountry = await t.request("POST", "/api/withdrawals", {
+    token: "kofi",
+    body: { userId: "kofi", amount: 300, phone: "0772123456", country: "UG" },
+  });
+  assert.equal(wrongCountry.status, 400);
+
+  const res = await t.request("POST", "/api/withdrawals", {
+    token: "kofi",
+    body: { userId: "kofi", amount: 300, phone: "0712345678" },
+  });
+  assert.equal(res.status, 201);
+  const w = res.body.data[0];
+  assert.equal(w.currency, "KES");
+  assert.equal(w.phone, "254712345678");
+
+  await t.request("POST", "/process-single-withdrawal", { token: "admin:ops", body: { withdrawalId: w.withdrawalId } });
+  const payout = t.http.calls.filter((c) => c.url === ENV.SILICON_PAY_URL).at(-1).payload;
+  assert.equal(payout.currency, "KES");
+
+  await t.request("POST", "/ipn", { body: t.signIpn({ txRef: w.txRef, status: "successful" }) });
+  assert.equal(t.db.dump("company").metrics.byCurrency.KES.withdrawals, 300);
+  assert.equal(t.db.dump("ledger")[`wdp-${w.withdrawalId}`].currency, "KES");
+});
+
+test("another user's wallet currency is not revealed before the ownership check", async () => {
+  for (const path of ["/api/pay", "/api/withdrawals"]) {
+    const res = await t.request("POST", path, {
+      token: "lee",
+      body: { userId: "kofi", amount: 1100, phone: "0772123456", country: "UG" },
+    });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, "FORBIDDEN");
+    assert.doesNotMatch(res.body.error, /KES/);
+  }
+});
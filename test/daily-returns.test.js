@@ -0,0 +1,53 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./support/harness");
+
+let t;
+before(async () => {
+  t = await startTestApp({ now: "2026-03-01T00:10:00Z" });
+  t.db.seed("users/carol", { returnsWallet: 0 });
+  t.db.seed("stakes/S1", {
+    stakeId: "S1",
+    userId: "carol",
+    principal: 1000,
+    dailyRate: 0.1,
+    totalDays: 3,
+    remainingDays: 3,
+    earnedSoFar: 0,
+    status: "active",
+    lastProcessedDate: null,
+  });
+});
+after(() => t.close());
+
+test("accrues once per day and completes the stake after its last day", async () => {
+  const first = await t.runDailyReturns();
+  assert.equal(first.processed, 1);
+  assert.equal(first.paidTotal, 100);
+
+  // Same day again: the once-per-day guard skips it.
+  const again = await t.runDailyReturns();
+  assert.equal(again.processed, 0);
+  assert.equal(t.db.dump("users").carol.returnsWallet, 100);
+
+  t.setNow("2026-03-02T00:10:00Z");
+  await t.runDailyReturns();
+  t.setNow("2026-03-03T00:10:00Z");
+  await t.runDailyReturns();
+  t.setNow("2026-03-04T00:10:00Z");
+  const afterEnd = await t.runDailyReturns();
+  assert.equal(afterEnd.processed, 0);
+
+  const stake = t.db.dump("stakes").S1;
+  assert.equal(stake.status, "completed");
+  assert.equal(stake.remainingDays, 0);
+  assert.equal(stake.earnedSoFar, 300);
+  assert.equal(t.db.dump("users").carol.returnsWallet, 300);
+
+  const entries = Object.keys(t.db.dump("ledger")).filter((id) => id.startsWith("ret-S1-"));
+  assert.deepEqual(entries.sort(), ["ret-S1-2026-03-01", "ret-S1-2026-03-02", "ret-S1-2026-03-03"]);
+
+  const email = t.db.dump("email_outbox")["stake_completed-S1"];
+  assert.equal(email.userId, "carol");
+  assert.equal(email.data.earned, 300);
+});
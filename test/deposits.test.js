@@ -0,0 +1,134 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./support/harness");
+
+let t;
+before(async () => {
+  t = await startTestApp();
+  t.db.seed("users/ref1", { referralCode: "R1", returnsWallet: 0 });
+  t.db.seed("users/alice", { referrerCode: "R1", totalDeposited: 0, returnsWallet: 0 });
+  t.db.seed("users/bob", { totalDeposited: 0, returnsWallet: 0 });
+});
+after(() => t.close());
+
+async function startDeposit(userId, amount, phone = "0772123456") {
+  const res = await t.request("POST", "/api/pay", {
+    token: userId,
+    body: { userId, amount, phone },
+  });
+  assert.equal(res.status, 200);
+  return res.body.transaction_ref;
+}
+
+test("deposit → IPN → stake reverses the fee and credits the referrer", async () => {
+  const txRef = await startDeposit("alice", 2200);
+  assert.equal(t.db.dump("deposits")[txRef].status, "pending");
+  assert.equal(t.db.dump("deposits")[txRef].expectedAmount, 2200);
+
+  const ipn = await t.request("POST", "/ipn", { body: t.signIpn({ txRef, status: "successful", amount: 2200 }) });
+  assert.equal(ipn.status, 200);
+
+  const dep = t.db.dump("deposits")[txRef];
+  assert.equal(dep.credited, true);
+  assert.equal(dep.status, "successful");
+  assert.equal(dep.netPrincipal, 2000);
+  assert.equal(dep.depositFee, 200);
+
+  const stake = t.db.dump("stakes")[txRef];
+  assert.equal(stake.principal, 2000);
+  assert.equal(stake.status, "active");
+  assert.equal(stake.remainingDays, 20);
+
+  const users = t.db.dump("users");
+  assert.equal(users.alice.totalDeposited, 2200);
+  assert.equal(users.ref1.returnsWallet, 440);
+  assert.equal(t.db.dump("company").metrics.totalCompanyStakes, 2000);
+
+  const ledger = t.db.dump("ledger");
+  assert.deepEqual(ledger[`dep-${txRef}`].lines, [
+    { account: "provider:siliconpay", debit: 2200, credit: 0 },
+    { account: "revenue:deposit_fees", debit: 0, credit: 200 },
+    { account: "user:alice:stakes", debit: 0, credit: 2000 },
+  ]);
+  assert.equal(ledger[`ref-${txRef}`].total, 440);
+});
+
+test("duplicate IPNs are acknowledged but applied once", async () => {
+  const txRef = await startDeposit("bob", 1100);
+  const body = t.signIpn({ txRef, status: "successful" });
+
+  for (let i = 0; i < 3; i += 1) {
+    const res = await t.request("POST", "/ipn", { body });
+    assert.equal(res.status, 200);
+  }
+
+  assert.equal(t.db.dump("users").bob.totalDeposited, 1100);
+  const event = Object.values(t.db.dump("ipn_events")).find((e) => e.txRef === txRef);
+  assert.equal(event.state, "processed");
+  assert.equal(event.duplicates, 2);
+  assert.equal(event.startedAt, t.clock.now.getTime());
+});
+
+test("unsigned and forged IPNs are quarantined and credit nothing", async () => {
+  const txRef = await startDeposit("bob", 5000);
+
+  const unsigned = await t.request("POST", "/ipn", { body: { txRef, status: "successful" } });
+  assert.equal(unsigned.status, 403);
+  const forged = await t.request("POST", "/ipn", { body: { txRef, status: "successful", secure_hash: "nope" } });
+  assert.equal(forged.status, 403);
+
+  assert.equal(t.db.dump("deposits")[txRef].status, "pending");
+  const reasons = Object.values(t.db.dump("ipn_quarantine")).map((q) => q.reason).sort();
+  assert.deepEqual(reasons, ["invalid_signature", "missing_signature"]);
+});
+
+test("an IPN amount that disagrees with the initiated amount parks the deposit for review", async () => {
+  const txRef = await startDeposit("bob", 1100);
+  await t.request("POST", "/ipn", { body: t.signIpn({ txRef, status: "successful", amount: 999999 }) });
+
+  const dep = t.db.dump("deposits")[txRef];
+  assert.equal(dep.status, "needs_review");
+  assert.notEqual(dep.credited, true);
+  assert.equal(t.db.dump("stakes")[txRef], undefined);
+});
+
+test("/api/pay requires a token whose uid matches userId", async () => {
+  const body = { userId: "alice", amount: 1000, phone: "0772123456" };
+  assert.equal((await t.request("POST", "/api/pay", { body })).status, 401);
+  assert.equal((await t.request("POST", "/api/pay", { body, token: "bad" })).status, 401);
+  assert.equal((await t.request("POST", "/api/pay", { body, token: "bob" })).status, 403);
+});
+
+test("a credit that fails leaves the deposit pending for the provider's retry", async () => {
+  t.db.seed("users/cara", { totalDeposited: 0, returnsWallet: 0 });
+  const txRef = await startDeposit("cara", 1100);
+  await t.db.doc("users/cara").delete();
+  const body = t.signIpn({ txRef, status: "successful", amount: 1100 });
+
+  assert.equal((await t.request("POST", "/ipn", { body })).status, 500);
+  assert.equal(t.db.dump("deposits")[txRef].status, "pending");
+  assert.notEqual(t.db.dump("deposits")[txRef].credited, true);
+
+  t.db.seed("users/cara", { totalDeposited: 0, returnsWallet: 0 });
+  assert.equal((await t.request("POST", "/ipn", { body })).status, 200);
+  const dep = t.db.dump("deposits")[txRef];
+  assert.equal(dep.status, "successful");
+  assert.equal(dep.credited, true);
+  assert.equal(t.db.dump("users").cara.totalDeposited, 1100);
+});
+
+test("an IPN and reconciliation crediting the same deposit at once count it once", async () => {
+  t.db.seed("users/dev", { totalDeposited: 0, returnsWallet: 0 });
+  const txRef = await startDeposit("dev", 1100, "0772999777");
+  const before = t.db.dump("company").metrics?.totalCompanyStakes || 0;
+  const dep = t.db.dump("deposits")[txRef];
+  const depRef = t.db.doc(`deposits/${txRef}`);
+
+  const [a, b] = await Promise.all([
+    t.services.deposits.settleSuccessfulDeposit(depRef, dep, 1100, null, { via: "ipn" }),
+    t.services.deposits.settleSuccessfulDeposit(depRef, dep, 1100, null, { via: "reconciliation" }),
+  ]);
+  assert.deepEqual([a.alreadyCredited, b.alreadyCredited].sort(), [false, true]);
+  assert.equal(t.db.dump("users").dev.totalDeposited, 1100);
+  assert.equal(t.db.dump("company").metrics.totalCompanyStakes, before + 1000);
+});
@@ -0,0 +1,116 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./support/harness");
+const { MemoryFirestore } = require("./support/memory-firestore");
+const { createDistributor, MAX_ATTEMPTS } = require("../distributor");
+
+let t;
+before(async () => {
+  t = await startTestApp();
+  t.db.seed("users/dave", { totalDeposited: 0, returnsWallet: 0 });
+});
+after(() => t.close());
+
+async function settled(db, jobId) {
+  for (let i = 0; i < 50; i += 1) {
+    const job = db.dump("distributor_jobs")[jobId];
+    if (job && !["queued", "running"].includes(job.status)) return job;
+    await new Promise((r) => setImmediate(r));
+  }
+  return db.dump("distributor_jobs")[jobId];
+}
+
+test("a credited deposit enqueues one stake job that distributes it once", async () => {
+  const pay = await t.request("POST", "/api/pay", { token: "dave", body: { userId: "dave", amount: 1100, phone: "0772123456" } });
+  const txRef = pay.body.transaction_ref;
+  await t.request("POST", "/ipn", { body: t.signIpn({ txRef, status: "successful", amount: 1100 }) });
+
+  const job = await settled(t.db, `stake-${txRef}`);
+  assert.equal(job.status, "succeeded");
+  assert.equal(job.attempts, 1);
+  assert.deepEqual(job.result, { stakeId: txRef, amount: 1000, currency: "UGX" });
+  assert.equal(t.db.dump("stakes")[txRef].distribution.status, "done");
+  const metrics = t.db.dump("company").metrics;
+  assert.equal(metrics.totalCompanyTransfers, 1000);
+  assert.equal(metrics.byCurrency.UGX.transfers, 1000);
+
+  // Sweeping again finds nothing due, and a repeated step changes nothing.
+  assert.equal((await t.services.distributor.processDue()).processed, 0);
+  const again = await t.services.distribution.distributeStake({ id: job.id, stakeId: txRef });
+  assert.equal(again.skipped, "already_distributed");
+  assert.equal(t.db.dump("company").metrics.totalCompanyTransfers, 1000);
+
+  // Reversing the deposit takes its distributed principal back out of company transfers.
+  assert.equal((await t.services.deposits.reverseDeposit(txRef, { reason: "chargeback", by: "ops" })).reversed, true);
+  assert.equal(t.db.dump("company").metrics.totalCompanyTransfers, 0);
+  assert.equal(t.db.dump("company").metrics.byCurrency.UGX.transfers, 0);
+});
+
+test("failing jobs back off, then park as failed after the attempt budget", async () => {
+  const clock = { now: new Date("2026-01-10T08:00:00Z") };
+  const db = new MemoryFirestore({ clock: () => clock.now });
+  let calls = 0;
+  const distributor = createDistributor({
+    db,
+    clock: () => clock.now,
+    handlers: {
+      "stake.distribute": async () => {
+        calls += 1;
+        throw new Error("downstream unavailable");
+      },
+    },
+  });
+  await db.runTransaction(async (tx) => distributor.enqueueStakeInTx(tx, "S9"));
+
+  await distributor.processDue();
+  let job = db.dump("distributor_jobs")["stake-S9"];
+  assert.equal(job.status, "queued");
+  assert.equal(job.attempts, 1);
+  assert.equal(job.lastError, "downstream unavailable");
+
+  // Not due yet: the 30s backoff hasn't elapsed.
+  assert.equal((await distributor.processDue()).processed, 0);
+
+  for (let i = 1; i < MAX_ATTEMPTS; i += 1) {
+    clock.now = new Date(clock.now.getTime() + 60 * 60 * 1000);
+    await distributor.processDue();
+  }
+  job = db.dump("distributor_jobs")["stake-S9"];
+  assert.equal(job.status, "failed");
+  assert.equal(job.attempts, MAX_ATTEMPTS);
+  assert.equal(calls, MAX_ATTEMPTS);
+
+  clock.now = new Date(clock.now.getTime() + 60 * 60 * 1000);
+  assert.equal((await distributor.processDue()).processed, 0);
+});
+
+test("operators list failed jobs and re-run them", async () => {
+  t.db.seed("stakes/S2", { stakeId: "S2", userId: "dave", principal: 500, status: "active" });
+  t.db.seed("distributor_jobs/stake-S2", {
+    type: "stake.distribute",
+    stakeId: "S2",
+    status: "failed",
+    attempts: 6,
+    maxAttempts: 6,
+    lastError: "boom",
+  });
+
+  assert.equal((await t.request("GET", "/admin/distributor/jobs", { token: "dave" })).status, 403);
+
+  const list = await t.request("GET", "/admin/distributor/jobs?status=failed", { token: "admin:ops" });
+  assert.equal(list.status, 200);
+  assert.deepEqual(list.body.data.map((j) => j.id), ["stake-S2"]);
+
+  const retry = await t.request("POST", "/admin/distributor/jobs/stake-S2/retry", { token: "admin:ops" });
+  assert.equal(retry.status, 200);
+  assert.equal(retry.body.status, "succeeded");
+
+  const job = t.db.dump("distributor_jobs")["stake-S2"];
+  assert.equal(job.retriedBy, "ops");
+  assert.equal(job.attempts, 1);
+  assert.equal(t.db.dump("stakes").S2.distribution.status, "done");
+
+  // Only failed jobs can be re-run.
+  const again = await t.request("POST", "/admin/distributor/jobs/stake-S2/retry", { token: "admin:ops" });
+  assert.equal(again.status, 409);
+});
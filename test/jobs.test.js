@@ -0,0 +1,152 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { Timestamp } = require("./support/memory-firestore");
+const { startTestApp } = require("./support/harness");
+
+let t;
+before(async () => {
+  t = await startTestApp({ now: "2026-04-01T00:10:00Z" });
+  t.db.seed("users/dana", { returnsWallet: 0 });
+  t.db.seed("stakes/S9", {
+    stakeId: "S9",
+    userId: "dana",
+    principal: 1000,
+    dailyRate: 0.1,
+    totalDays: 10,
+    remainingDays: 10,
+    earnedSoFar: 0,
+    status: "active",
+    lastProcessedDate: null,
+  });
+});
+after(() => t.close());
+
+const runs = (job) =>
+  Object.values(t.db.dump("job_runs"))
+    .filter((r) => r.job === job)
+    .sort((a, b) => a.startedAt.toMillis() - b.startedAt.toMillis() || (a.date || "").localeCompare(b.date || ""));
+
+test("a job runs on one instance at a time and records its run", async () => {
+  const [a, b] = await Promise.all([
+    t.services.jobs.runJob("subscriptionExpiry"),
+    t.services.jobs.runJob("subscriptionExpiry"),
+  ]);
+  assert.deepEqual([a.started, b.started].sort(), [false, true]);
+
+  const [run] = runs("subscriptionExpiry");
+  assert.equal(run.status, "succeeded");
+  assert.equal(run.trigger, "schedule");
+  assert.deepEqual(run.result, { ok: true, expired: 0 });
+  assert.equal(t.db.dump("job_locks").subscriptionExpiry, undefined); // released
+  assert.ok(t.db.dump("job_status").subscriptionExpiry.lastSuccessAt);
+});
+
+test("missed days are caught up oldest first after downtime", async () => {
+  await t.services.jobs.runDaily("dailyReturns");
+  t.setNow("2026-04-04T09:00:00Z"); // the worker was down for two nights
+  const caught = await t.services.jobs.catchUp();
+
+  assert.deepEqual(
+    caught.dailyReturns.map((r) => [r.date, r.status]),
+    [
+      ["2026-04-02", "succeeded"],
+      ["2026-04-03", "succeeded"],
+      ["2026-04-04", "succeeded"],
+    ]
+  );
+  assert.deepEqual(
+    runs("dailyReturns").map((r) => [r.date, r.trigger]),
+    [
+      ["2026-04-01", "schedule"],
+      ["2026-04-02", "catch_up"],
+      ["2026-04-03", "catch_up"],
+      ["2026-04-04", "catch_up"],
+    ]
+  );
+  assert.equal(t.db.dump("stakes").S9.remainingDays, 6);
+  assert.equal(t.db.dump("users").dana.returnsWallet, 400);
+
+  // Nothing owed any more; the scheduled run later today does nothing.
+  assert.deepEqual(await t.services.jobs.runDaily("dailyReturns"), []);
+  assert.equal(t.db.dump("users").dana.returnsWallet, 400);
+});
+
+test("an expired lease is taken over and its run marked abandoned", async () => {
+  const now = t.clock.now.getTime();
+  t.db.seed("job_runs/crashed", {
+    runId: "crashed",
+    job: "reconciliation",
+    status: "running",
+    startedAt: Timestamp.fromMillis(now - 3600000),
+  });
+  t.db.seed("job_locks/reconciliation", { job: "reconciliation", runId: "crashed", owner: "old-host:1", leaseUntil: now - 1 });
+
+  const r = await t.services.jobs.runJob("reconciliation", { trigger: "manual" });
+  assert.equal(r.status, "succeeded");
+  const crashed = t.db.dump("job_runs").crashed;
+  assert.equal(crashed.status, "abandoned");
+  assert.match(crashed.error, /old-host:1/);
+});
+
+test("operators can list runs and start one by hand", async () => {
+  t.db.seed("job_locks/reconciliation", { job: "reconciliation", runId: "other", owner: "web-2:7", leaseUntil: Date.now() * 2 });
+  const busy = await t.request("POST", "/admin/jobs/reconciliation/run", { token: "admin:ops", body: {} });
+  assert.equal(busy.status, 409);
+  assert.equal(busy.body.code, "JOB_RUNNING");
+  assert.equal(busy.body.details.heldBy, "web-2:7");
+
+  const future = await t.request("POST", "/admin/jobs/dailyReturns/run", { token: "admin:ops", body: { date: "2026-05-01" } });
+  assert.equal(future.status, 400);
+  const denied = await t.request("POST", "/admin/jobs/dailyReturns/run", { token: "dana", body: {} });
+  assert.equal(denied.status, 403);
+
+  t.setNow("2026-04-04T10:00:00Z");
+  const started = await t.request("POST", "/admin/jobs/dailyReturns/run", { token: "admin:ops", body: { date: "2026-04-03" } });
+  assert.equal(started.status, 202);
+  let run;
+  for (let i = 0; i < 50 && run?.status !== "succeeded"; i++) {
+    await new Promise((r) => setTimeout(r, 10));
+    run = (await t.request("GET", `/admin/jobs/runs/${started.body.runId}`, { token: "admin:ops" })).body.data;
+  }
+  assert.equal(run.status, "succeeded");
+  assert.equal(run.trigger, "manual");
+  assert.equal(run.by, "ops");
+  assert.equal(run.result.processed, 0); // the stake was already paid for later days
+
+  const list = await t.request("GET", "/admin/jobs/runs?job=dailyReturns&limit=2", { token: "admin:ops" });
+  assert.equal(list.status, 200);
+  assert.equal(list.body.data.length, 2);
+  assert.equal(list.body.data[0].runId, started.body.runId);
+  assert.equal(typeof list.body.data[0].startedAt, "string");
+});
+
+test("a stake created during the gap is only caught up from the day it was created", async () => {
+  t.setNow("2026-04-08T08:00:00Z"); // last success: 2026-04-04
+  t.db.seed("users/eli", { returnsWallet: 0 });
+  t.db.seed("stakes/S10", {
+    stakeId: "S10",
+    userId: "eli",
+    principal: 1000,
+    dailyRate: 0.1,
+    totalDays: 20,
+    remainingDays: 20,
+    earnedSoFar: 0,
+    status: "active",
+    lastProcessedDate: null,
+    createdAt: Timestamp.fromMillis(Date.parse("2026-04-07T07:00:00Z")),
+  });
+
+  const caught = await t.services.jobs.runDaily("dailyReturns");
+  assert.deepEqual(
+    caught.map((r) => [r.date, r.result.processed]),
+    [
+      ["2026-04-05", 1],
+      ["2026-04-06", 1],
+      ["2026-04-07", 2],
+      ["2026-04-08", 2],
+    ]
+  );
+  assert.equal(t.db.dump("users").eli.returnsWallet, 200);
+  assert.equal(t.db.dump("stakes").S10.remainingDays, 18);
+  assert.equal(t.db.dump("users").dana.returnsWallet, 800);
+});
@@ -0,0 +1,70 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./support/harness");
+const { redact } = require("../lib/logger");
+
+let t;
+before(async () => {
+  t = await startTestApp();
+  t.db.seed("users/gus", { returnsWallet: 0 });
+});
+after(() => t.close());
+
+// Collects the JSON lines the logger writes while fn runs.
+async function captureLogs(fn) {
+  const lines = [];
+  const saved = { log: console.log, warn: console.warn, error: console.error };
+  for (const level of Object.keys(saved)) console[level] = (line) => lines.push(line);
+  try {
+    await fn();
+  } finally {
+    Object.assign(console, saved);
+  }
+  return lines.map((l) => JSON.parse(l));
+}
+
+test("phones, emails, hashes and tokens are redacted", () => {
+  const out = redact({
+    phone: "256772123456",
+    body: { msisdn: "256772123456", secure_hash: "abc==", email: "gus@test.dev" },
+    headers: { Authorization: "Bearer xyz", encryption_key: "k" },
+    depositPhones: ["256772000001"],
+    msg: "Sent to gus@test.dev",
+  });
+  assert.equal(out.phone, "*********456");
+  assert.deepEqual(out.body, { msisdn: "*********456", secure_hash: "[REDACTED]", email: "g***@test.dev" });
+  assert.deepEqual(out.headers, { Authorization: "[REDACTED]", encryption_key: "[REDACTED]" });
+  assert.deepEqual(out.depositPhones, ["*********001"]);
+  assert.equal(out.msg, "Sent to g***@test.dev");
+});
+
+test("request id and txRef ride on every line of the deposit and IPN paths", async () => {
+  let txRef;
+  const payLogs = await captureLogs(async () => {
+    const res = await t.request("POST", "/api/pay", {
+      token: "gus",
+      headers: { "X-Request-Id": "req-abc" },
+      body: { userId: "gus", amount: 1100, phone: "0772123456" },
+    });
+    assert.equal(res.headers.get("x-request-id"), "req-abc");
+    txRef = res.body.transaction_ref;
+  });
+  const collected = payLogs.find((l) => l.msg === "Collection requested");
+  assert.equal(collected.requestId, "req-abc");
+  assert.equal(collected.txRef, txRef);
+  assert.equal(collected.level, "info");
+  assert.equal(t.http.calls.at(-1).headers["X-Request-Id"], "req-abc"); // passed on to SiliconPay
+
+  const ipnLogs = await captureLogs(() =>
+    t.request("POST", "/ipn", { body: t.signIpn({ txRef, status: "successful", msisdn: "256772123456" }) })
+  );
+  const ipnLines = ipnLogs.filter((l) => l.module !== "http");
+  assert.ok(ipnLines.some((l) => l.module === "deposits"));
+  for (const line of ipnLines) {
+    assert.equal(line.txRef, txRef, line.msg);
+    assert.match(line.requestId, /^[0-9a-f-]{36}$/);
+  }
+  const raw = JSON.stringify(ipnLogs);
+  assert.equal(raw.includes("256772123456"), false);
+  assert.equal(raw.includes(t.signIpn({ txRef }).secure_hash), false);
+});
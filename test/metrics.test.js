@@ -0,0 +1,77 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, ENV } = require("./support/harness");
+
+let t;
+before(async () => {
+  t = await startTestApp();
+  t.db.seed("users/hal", { returnsWallet: 10000 });
+});
+after(() => t.close());
+
+// Scrapes /metrics once; the returned lookup gives one series' value, e.g. m('oblinks_ipn_total{result="verified"}').
+async function scrape() {
+  const res = await t.request("GET", "/metrics");
+  assert.equal(res.status, 200);
+  return (series) => {
+    const line = res.text.split("\n").find((l) => l.startsWith(`${series} `));
+    return line ? Number(line.slice(series.length + 1)) : 0;
+  };
+}
+
+test("deposits, IPNs, provider calls, payouts and daily returns are counted", async () => {
+  const pay = await t.request("POST", "/api/pay", { token: "hal", body: { userId: "hal", amount: 2200, phone: "0772123456" } });
+  const txRef = pay.body.transaction_ref;
+  await t.request("POST", "/ipn", { body: t.signIpn({ txRef, status: "successful", amount: 2200 }) });
+  await t.request("POST", "/ipn", { body: t.signIpn({ txRef, status: "successful", amount: 2200 }) });
+  await t.request("POST", "/ipn", { body: { txRef, status: "successful", secure_hash: "forged" } });
+
+  const w = await t.request("POST", "/api/withdrawals", { token: "hal", body: { userId: "hal", amount: 3000, phone: "0772123456" } });
+  await t.request("POST", "/process-single-withdrawal", { token: "admin:ops", body: { withdrawalId: w.body.data[0].withdrawalId } });
+  const daily = await t.runDailyReturns();
+
+  const m = await scrape();
+  assert.equal(m('oblinks_ipn_total{result="received"}'), 3);
+  assert.equal(m('oblinks_ipn_total{result="verified"}'), 2);
+  assert.equal(m('oblinks_ipn_total{result="rejected"}'), 1);
+  assert.equal(m('oblinks_ipn_total{result="duplicate"}'), 1);
+  assert.equal(m('oblinks_ipn_total{result="processed"}'), 1);
+  assert.equal(m('oblinks_deposits_credited_total{currency="UGX"}'), 1);
+  assert.equal(m('oblinks_deposits_credited_amount_total{currency="UGX"}'), 2200);
+  assert.equal(m('oblinks_provider_call_duration_seconds_count{provider="siliconpay",op="collect",outcome="ok"}'), 1);
+  assert.equal(m('oblinks_provider_call_duration_seconds_count{provider="siliconpay",op="payout",outcome="ok"}'), 1);
+  assert.equal(m('oblinks_payouts_total{currency="UGX",outcome="submitted"}'), 1);
+  assert.equal(m('oblinks_payouts_submitted_amount_total{currency="UGX"}'), 3000);
+  assert.equal(m("oblinks_daily_returns_duration_seconds_count"), 1);
+  assert.equal(m("oblinks_daily_returns_stakes_total"), 1);
+  assert.equal(m("oblinks_daily_returns_paid_amount_total"), daily.paidTotal);
+  assert.equal(m("oblinks_daily_returns_last_success_timestamp_seconds"), Math.floor(t.clock.now.getTime() / 1000));
+  assert.equal(m('oblinks_http_request_duration_seconds_count{method="POST",route="/ipn",status="200"}'), 2);
+});
+
+test("/readyz checks Firestore, the provider token and scheduled-job age", async () => {
+  t.http.responses[ENV.SILICON_TOKEN_URL] = () => {
+    throw new Error("connect ECONNREFUSED");
+  };
+  const down = await t.request("GET", "/readyz");
+  assert.equal(down.status, 503);
+  assert.equal(down.body.checks.firestore.ok, true);
+  assert.equal(down.body.checks.provider.ok, false);
+  assert.equal(down.body.checks.jobs.dailyReturns.lastSuccessAt, null); // never run is not a failure
+
+  t.http.responses[ENV.SILICON_TOKEN_URL] = () => ({ status: 200, data: { token: "tok-2" } });
+  await t.services.health.recordJobRun("dailyReturns", t.runDailyReturns);
+  const up = await t.request("GET", "/readyz");
+  assert.equal(up.status, 200);
+  assert.equal(up.body.checks.jobs.dailyReturns.ageHours, 0);
+
+  // The worker stopped: the last success is now older than the job's allowance.
+  t.setNow("2026-01-11T12:00:00Z");
+  const stale = await t.request("GET", "/readyz");
+  assert.equal(stale.status, 503);
+  assert.equal(stale.body.checks.provider.cached, true);
+  assert.deepEqual(
+    Object.entries(stale.body.checks.jobs).filter(([, j]) => !j.ok).map(([name]) => name),
+    ["dailyReturns"]
+  );
+});
@@ -0,0 +1,104 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./support/harness");
+
+let t;
+before(async () => {
+  t = await startTestApp();
+  t.db.seed("users/fay", { email: "fay@test.dev", totalDeposited: 0, returnsWallet: 0 });
+  t.db.seed("users/gus", { email: "gus@test.dev", emailOptOut: true, totalDeposited: 0, returnsWallet: 0 });
+  t.db.seed("users/hal", { email: "hal@test.dev", returnsWallet: 5000 });
+  t.db.seed("users/ike", { email: "ike@test.dev", returnsWallet: 5000 });
+});
+after(() => t.close());
+
+async function deposit(userId, amount) {
+  const pay = await t.request("POST", "/api/pay", { token: userId, body: { userId, amount, phone: "0772123456" } });
+  const txRef = pay.body.transaction_ref;
+  const ipn = await t.request("POST", "/ipn", { body: t.signIpn({ txRef, status: "successful", amount }) });
+  assert.equal(ipn.status, 200);
+  return txRef;
+}
+
+test("a credited deposit queues one confirmation email, sent by the outbox", async () => {
+  const txRef = await deposit("fay", 1100);
+  await t.request("POST", "/ipn", { body: t.signIpn({ txRef, status: "successful", amount: 1100 }) });
+
+  const queued = t.db.dump("email_outbox")[`deposit_confirmed-${txRef}`];
+  assert.equal(queued.status, "queued");
+
+  const counts = await t.services.notifications.processOutbox();
+  assert.equal(counts.sent, 1);
+  const mail = t.mailer.sent.at(-1);
+  assert.equal(mail.subject, "Deposit confirmed");
+  assert.equal(mail.to[0].address, "fay@test.dev");
+  assert.match(mail.text, /UGX 1,000 is active for 20 days/);
+  assert.match(mail.html, /<p>/);
+  assert.equal(t.db.dump("email_outbox")[`deposit_confirmed-${txRef}`].status, "sent");
+});
+
+test("opted-out users are skipped", async () => {
+  const txRef = await deposit("gus", 1100);
+  const before = t.mailer.sent.length;
+  await t.services.notifications.processOutbox();
+
+  const doc = t.db.dump("email_outbox")[`deposit_confirmed-${txRef}`];
+  assert.equal(doc.status, "skipped");
+  assert.equal(doc.skipReason, "opted_out");
+  assert.equal(t.mailer.sent.length, before);
+});
+
+test("a mail outage never blocks crediting and is retried with backoff", async () => {
+  t.mailer.fail = new Error("smtp down");
+  const txRef = await deposit("fay", 2200);
+  assert.equal(t.db.dump("deposits")[txRef].credited, true);
+
+  await t.services.notifications.processOutbox();
+  let doc = t.db.dump("email_outbox")[`deposit_confirmed-${txRef}`];
+  assert.equal(doc.status, "queued");
+  assert.equal(doc.attempts, 1);
+  assert.equal(doc.lastError, "smtp down");
+
+  t.mailer.fail = null;
+  assert.equal((await t.services.notifications.processOutbox()).sent, 0); // backoff not elapsed
+
+  t.setNow("2026-01-10T08:05:00Z");
+  await t.services.notifications.processOutbox();
+  doc = t.db.dump("email_outbox")[`deposit_confirmed-${txRef}`];
+  assert.equal(doc.status, "sent");
+  assert.equal(doc.attempts, 2);
+});
+
+test("withdrawal outcomes and OBlinks payments send emails from /ipn", async () => {
+  const w = await t.request("POST", "/api/withdrawals", { token: "hal", body: { userId: "hal", amount: 1000, phone: "0772123456" } });
+  const { withdrawalId, txRef } = w.body.data[0];
+  await t.request("POST", "/process-single-withdrawal", { token: "admin:ops", body: { withdrawalId } });
+  await t.request("POST", "/ipn", { body: t.signIpn({ txRef, status: "failed", message: "Insufficient float" }) });
+
+  t.db.seed("payments/TX-1", { txRef: "TX-1", email: "ivy@test.dev", amount: "50000", package: "Gold", status: "pending" });
+  await t.request("POST", "/ipn", { body: t.signIpn({ txRef: "TX-1", status: "successful" }) });
+
+  await t.services.notifications.processOutbox();
+  const outbox = t.db.dump("email_outbox");
+  assert.equal(outbox[`withdrawal_failed-${withdrawalId}`].status, "sent");
+  assert.equal(outbox["payment_confirmed-TX-1"].status, "sent");
+
+  const subjects = t.mailer.sent.map((m) => m.subject);
+  assert.ok(subjects.includes("Withdrawal failed"));
+  assert.ok(subjects.includes("Payment confirmed — Gold"));
+  const failed = t.mailer.sent.find((m) => m.subject === "Withdrawal failed");
+  assert.match(failed.text, /Insufficient float/);
+});
+
+test("a withdrawal rejected by an operator emails the user once", async () => {
+  const w = await t.request("POST", "/api/withdrawals", { token: "ike", body: { userId: "ike", amount: 1000, phone: "0772999888" } });
+  const { withdrawalId } = w.body.data[0];
+  const reject = () =>
+    t.request("POST", `/admin/withdrawals/${withdrawalId}/reject`, { token: "admin:ops", body: { reason: "Phone not verified" } });
+  assert.equal((await reject()).status, 200);
+  assert.equal((await reject()).status, 409);
+
+  const queued = Object.values(t.db.dump("email_outbox")).filter((m) => m.ref === withdrawalId);
+  assert.deepEqual(queued.map((m) => m.template), ["withdrawal_failed"]);
+  assert.equal(queued[0].data.reason, "Phone not verified");
+});
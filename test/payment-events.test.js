@@ -0,0 +1,118 @@
+process.env.SSE_HEARTBEAT_MS = "20";
+process.env.SSE_MAX_STREAMS_PER_USER = "1";
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./support/harness");
+
+let t;
+before(async () => {
+  t = await startTestApp({ now: "2026-08-01T08:00:00Z" });
+  t.db.seed("users/kim", { returnsWallet: 0 });
+  t.db.seed("packages/pro", { name: "Pro", price: 5000, durationDays: 30 });
+});
+after(() => t.close());
+
+// Reads an SSE response until the server ends it; the stream is cut by the caller's deadline otherwise.
+async function openStream(ref, token = "kim") {
+  const res = await fetch(`${t.base}/api/pay/${ref}/events`, {
+    headers: { Authorization: `Bearer ${token}` },
+    signal: AbortSignal.timeout(5000),
+  });
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  const stream = { status: res.status, headers: res.headers, raw: "", events: [] };
+  stream.ended = (async () => {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      stream.raw += decoder.decode(value, { stream: true });
+    }
+    stream.events = stream.raw
+      .split("\n\n")
+      .filter((block) => block.startsWith("event: "))
+      .map((block) => {
+        const [event, data] = block.split("\n");
+        return { event: event.slice(7), data: JSON.parse(data.slice(6)) };
+      });
+  })();
+  return stream;
+}
+
+const waitFor = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("a deposit stream follows the prompt to credited, then closes", async () => {
+  const pay = await t.request("POST", "/api/pay", { token: "kim", body: { userId: "kim", amount: 1100, phone: "0772123456" } });
+  const txRef = pay.body.transaction_ref;
+
+  const stream = await openStream(txRef);
+  assert.equal(stream.status, 200);
+  assert.match(stream.headers.get("content-type"), /^text\/event-stream/);
+  await waitFor(60); // a few heartbeats while the user approves the prompt
+  const second = await t.request("GET", `/api/pay/${txRef}/events`, { token: "kim" });
+  assert.equal(second.status, 429);
+  assert.equal(second.body.code, "TOO_MANY_STREAMS");
+
+  await t.request("POST", "/ipn", { body: t.signIpn({ txRef, status: "successful", amount: 1100 }) });
+  await stream.ended;
+
+  assert.match(stream.raw, /: ping/);
+  const stages = stream.events.map((e) => e.data.stage);
+  assert.equal(stages[0], "prompt_sent");
+  assert.equal(stages[stages.length - 1], "credited");
+  assert.equal(new Set(stages).size, stages.length); // one event per stage change
+  const last = stream.events[stream.events.length - 1];
+  assert.equal(last.event, "status");
+  assert.equal(last.data.kind, "deposit");
+  assert.equal(last.data.final, true);
+  assert.equal(last.data.amount, 1100);
+
+  // Connecting after the fact: the final state once, then the stream ends.
+  const late = await openStream(txRef);
+  await late.ended;
+  assert.deepEqual(late.events.map((e) => e.data.stage), ["credited"]);
+});
+
+test("only the payer can read or watch a payment", async () => {
+  const pay = await t.request("POST", "/api/pay", { token: "kim", body: { userId: "kim", amount: 1100, phone: "0772123456" } });
+  const txRef = pay.body.transaction_ref;
+  assert.equal((await t.request("GET", `/api/pay/${txRef}`)).status, 401);
+  assert.equal((await t.request("GET", `/api/pay/${txRef}`, { token: "lee" })).status, 403);
+  const own = await t.request("GET", `/api/pay/${txRef}`, { token: "kim" });
+  assert.equal(own.status, 200);
+  assert.equal(own.body.data[0].stage, "prompt_sent");
+  assert.equal((await t.request("GET", `/api/pay/${txRef}`, { token: "admin:ops" })).status, 200);
+
+  assert.equal((await t.request("GET", `/api/pay/${txRef}/events`)).status, 401);
+  const other = await t.request("GET", `/api/pay/${txRef}/events`, { token: "lee" });
+  assert.equal(other.status, 403);
+  assert.equal(other.body.code, "FORBIDDEN");
+});
+
+test("a package payment stream ends on a failed IPN; unknown refs are 404", async () => {
+  const start = await t.request("POST", "/start-payment", {
+    token: "kim",
+    body: { phone: "0772123456", amount: 5000, email: "kim@test.dev", package: "pro" },
+  });
+  const { txRef } = start.body;
+
+  const stream = await openStream(txRef);
+  await waitFor(30);
+  // A non-final callback records nothing terminal, so the stream stays open.
+  await t.request("POST", "/ipn", { body: t.signIpn({ txRef, status: "pending" }) });
+  await waitFor(30);
+  assert.equal(t.db.dump("payments")[txRef].status, "pending");
+  await t.request("POST", "/ipn", { body: t.signIpn({ txRef, status: "failed", message: "Declined" }) });
+  await stream.ended;
+  assert.deepEqual(
+    stream.events.map((e) => [e.data.kind, e.data.stage]),
+    [
+      ["payment", "prompt_sent"],
+      ["payment", "failed"],
+    ]
+  );
+
+  const missing = await t.request("GET", "/api/pay/NOPE-1/events", { token: "kim" });
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.code, "NOT_FOUND");
+});
@@ -0,0 +1,53 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { Timestamp } = require("firebase-admin/firestore");
+const { startTestApp, ENV } = require("./support/harness");
+
+let t;
+before(async () => {
+  t = await startTestApp({ now: "2026-09-01T08:00:00Z" });
+  const twoHoursAgo = Timestamp.fromMillis(t.clock.now.getTime() - 2 * 3600 * 1000);
+  t.db.seed("users/rita", { totalDeposited: 0, returnsWallet: 0 });
+  // Saved, but the process stopped before the prompt was recorded.
+  t.db.seed("deposits/PP-INIT-1", { userId: "rita", amount: 1100, expectedAmount: 1100, currency: "UGX", status: "initiated", createdAt: twoHoursAgo });
+  t.db.seed("payments/OB-REC-1", {
+    status: "pending",
+    email: "sam@test.dev",
+    package: "pro",
+    amount: 5000,
+    currency: "UGX",
+    packageSnapshot: { id: "pro", name: "Pro", price: 5000, currency: "UGX", durationDays: 30, entitlements: [] },
+    createdAt: twoHoursAgo,
+  });
+  const remote = { "PP-INIT-1": { status: "successful", amount: 1100 }, "OB-REC-1": { status: "successful", amount: 5000 } };
+  t.http.responses[ENV.SILICON_STATUS_URL] = (_payload, url) => ({ status: 200, data: remote[url.split("/").pop()] || { status: "pending" } });
+});
+after(() => t.close());
+
+test("initiated deposits are reconciled; a payment stays pending until its fulfilment commits", async () => {
+  const { subscriptions } = t.services;
+  const fulfilPayment = subscriptions.fulfilPayment;
+  subscriptions.fulfilPayment = async () => {
+    throw new Error("deadline exceeded");
+  };
+  try {
+    const first = await t.services.reconciliation.runReconciliation();
+    assert.equal(first.errors, 1);
+  } finally {
+    subscriptions.fulfilPayment = fulfilPayment;
+  }
+  const dep = t.db.dump("deposits")["PP-INIT-1"];
+  assert.equal(dep.status, "successful");
+  assert.equal(dep.credited, true);
+  assert.equal(t.db.dump("users").rita.totalDeposited, 1100);
+  assert.equal(t.db.dump("payments")["OB-REC-1"].status, "pending");
+
+  const second = await t.services.reconciliation.runReconciliation();
+  assert.equal(second.errors, 0);
+  const report = t.db.dump("reconciliation_reports")[second.reportId];
+  assert.equal(Date.parse(report.startedAt), t.clock.now.getTime());
+  const pay = t.db.dump("payments")["OB-REC-1"];
+  assert.equal(pay.status, "approved");
+  assert.equal(pay.fulfilled, true);
+  assert.equal(t.db.dump("subscriptions")["sam@test.dev__pro"].status, "active");
+});
@@ -0,0 +1,94 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./support/harness");
+
+let t;
+before(async () => {
+  t = await startTestApp({ now: "2026-05-01T09:00:00Z" });
+  t.db.seed("users/rae", { returnsWallet: 10000 });
+  t.db.seed("packages/gold", { name: "Gold", price: 50000, durationDays: 30 });
+});
+after(() => t.close());
+
+const ipn = (txRef, status = "successful") => t.request("POST", "/ipn", { body: t.signIpn({ txRef, status }) });
+
+async function withdraw(amount) {
+  const res = await t.request("POST", "/api/withdrawals", { token: "rae", body: { userId: "rae", amount, phone: "0772123456" } });
+  return res.body.data[0];
+}
+
+const report = (query) => t.request("GET", `/admin/reports/daily?${query}`, { token: "admin:ops" });
+
+test("daily figures come from the ledger and payments, closed days from snapshots", async () => {
+  // 1 May: a deposit, a package sale, one paid and one pending withdrawal, daily returns.
+  const dep = await t.request("POST", "/api/pay", { token: "rae", body: { userId: "rae", amount: 2200, phone: "0772123456" } });
+  await ipn(dep.body.transaction_ref);
+  const sale = await t.request("POST", "/start-payment", {
+    token: "rae",
+    body: { phone: "0772123456", email: "rae@test.dev", package: "gold", amount: 50000 },
+  });
+  await ipn(sale.body.txRef);
+  const paid = await withdraw(3000);
+  await t.request("POST", "/process-single-withdrawal", { token: "admin:ops", body: { withdrawalId: paid.withdrawalId } });
+  await ipn(paid.txRef);
+  await withdraw(1500);
+  await t.runDailyReturns();
+
+  // 2 May: the worker snapshots 1 May; another withdrawal is requested.
+  t.setNow("2026-05-02T00:30:00Z");
+  const [snapRun] = await t.services.jobs.runDaily("dailyReport");
+  assert.equal(snapRun.status, "succeeded");
+  assert.ok(t.db.dump("daily_reports")["2026-05-01"]);
+  await withdraw(500);
+
+  const res = await report("from=2026-05-01&to=2026-05-02");
+  assert.equal(res.status, 200);
+  const [may1, may2] = res.body.data.days;
+  assert.equal(may1.source, "snapshot");
+  assert.equal(may2.source, "live");
+
+  const ugx = may1.byCurrency.UGX;
+  assert.deepEqual(ugx.deposits, { count: 1, gross: 2200, fees: 200, principal: 2000 });
+  assert.deepEqual(ugx.packages, { count: 1, revenue: 50000 });
+  assert.equal(ugx.withdrawals.requested, 4500);
+  assert.equal(ugx.withdrawals.paid, 3000);
+  assert.equal(ugx.withdrawals.pendingAtClose, 1500);
+  assert.equal(ugx.dailyReturns.count, 1);
+  assert.equal(ugx.dailyReturns.paid, t.db.dump("stakes")[dep.body.transaction_ref].earnedSoFar);
+
+  assert.equal(may2.byCurrency.UGX.withdrawals.requested, 500);
+  assert.equal(may2.byCurrency.UGX.withdrawals.pendingAtClose, 2000);
+  const totals = res.body.data.totals.UGX;
+  assert.equal(totals.withdrawals.requested, 5000);
+  assert.equal(totals.withdrawals.pendingAtClose, 2000);
+  assert.equal(totals.deposits.gross, 2200);
+
+  // Snapshots are read, not recomputed.
+  t.db.seed("daily_reports/2026-05-01", { date: "2026-05-01", byCurrency: {} });
+  assert.deepEqual((await report("from=2026-05-01&to=2026-05-01")).body.data.days[0].byCurrency, {});
+});
+
+test("the CSV export streams one row per day and currency", async () => {
+  const res = await report("from=2026-04-30&to=2026-05-02&format=csv");
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /^text\/csv/);
+  assert.match(res.headers.get("content-disposition"), /oblinks-report-2026-04-30-to-2026-05-02\.csv/);
+
+  const [header, ...rows] = res.text.trim().split("\n");
+  const cols = header.split(",");
+  assert.equal(cols[0], "date");
+  assert.equal(rows.length, 1); // 30 Apr had no activity; 1 May's snapshot was emptied above
+  const row = Object.fromEntries(rows[0].split(",").map((v, i) => [cols[i], v]));
+  assert.equal(row.date, "2026-05-02");
+  assert.equal(row.currency, "UGX");
+  assert.equal(row.withdrawals_requested, "500");
+  assert.equal(row.source, "live");
+});
+
+test("report ranges are validated", async () => {
+  assert.equal((await report("from=2026-05-02&to=2026-05-01")).status, 400);
+  assert.equal((await report("from=2026-05-01&to=2026-06-01")).status, 400); // future
+  assert.equal((await report("from=2024-01-01&to=2026-05-01")).status, 400); // too long
+  assert.equal((await report("from=May&to=2026-05-01")).body.code, "VALIDATION_FAILED");
+  assert.equal((await t.request("GET", "/admin/reports/daily?from=2026-05-01&to=2026-05-01", { token: "rae" })).status, 403);
+});
@@ -0,0 +1,90 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./support/harness");
+
+let t;
+before(async () => {
+  t = await startTestApp({ now: "2026-06-01T08:00:00Z" });
+  t.db.seed("users/rita", { returnsWallet: 0, referralCode: "RITA1" });
+  t.db.seed("users/vic", { returnsWallet: 0, referrerCode: "RITA1" });
+  t.db.seed("users/wes", { returnsWallet: 0 });
+});
+after(() => t.close());
+
+async function deposit(userId, amount) {
+  const pay = await t.request("POST", "/api/pay", { token: userId, body: { userId, amount, phone: "0772123456" } });
+  const txRef = pay.body.transaction_ref;
+  await t.request("POST", "/ipn", { body: t.signIpn({ txRef, status: "successful", amount }) });
+  return txRef;
+}
+
+const reverse = (txRef, reason = "Chargeback from MTN") =>
+  t.request("POST", `/admin/deposits/${txRef}/reverse`, { token: "admin:ops", body: { reason } });
+
+test("an operator reversal undoes the stake, returns, referral bonus and totals", async () => {
+  const txRef = await deposit("vic", 22000);
+  assert.equal(t.db.dump("users").rita.returnsWallet, 4400); // 20% referral bonus
+  await t.runDailyReturns();
+  t.setNow("2026-06-02T08:00:00Z");
+  await t.runDailyReturns();
+  const earned = t.db.dump("stakes")[txRef].earnedSoFar;
+  assert.ok(earned > 0);
+
+  // vic withdraws the returns before the chargeback lands.
+  const w = await t.request("POST", "/api/withdrawals", { token: "vic", body: { userId: "vic", amount: earned, phone: "0772123456" } });
+  assert.equal(w.status, 201);
+
+  const res = await reverse(txRef);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.gross, 22000);
+  assert.equal(res.body.data.returnsClawedBack, earned);
+  assert.deepEqual(res.body.data.referralClawedBack, { userId: "rita", bonus: 4400 });
+  assert.deepEqual(res.body.data.negativeBalances, [{ userId: "vic", balance: -earned }]);
+
+  const users = t.db.dump("users");
+  assert.equal(users.vic.returnsWallet, -earned);
+  assert.equal(users.vic.negativeBalance, true);
+  assert.equal(users.vic.totalDeposited, 0);
+  assert.equal(users.rita.returnsWallet, 0);
+  assert.deepEqual(users.rita.paidRefereesIds, []);
+  assert.equal(t.db.dump("stakes")[txRef].status, "reversed");
+  assert.equal(t.db.dump("deposits")[txRef].status, "reversed");
+  assert.equal(t.db.dump("company").metrics.byCurrency.UGX.stakes, 0);
+  assert.equal(t.db.dump("company").metrics.byCurrency.UGX.deposits, 0);
+
+  const ledger = t.db.dump("ledger");
+  assert.deepEqual(ledger[`rev-dep-${txRef}`].lines, [
+    { account: "revenue:deposit_fees", debit: 2000, credit: 0 },
+    { account: "user:vic:stakes", debit: 20000, credit: 0 },
+    { account: "provider:siliconpay", debit: 0, credit: 22000 },
+  ]);
+  assert.equal(ledger[`rev-ret-${txRef}`].total, earned);
+  assert.equal(ledger[`rev-ref-${txRef}`].total, 4400);
+
+  const flagged = Object.values(t.db.dump("risk_events")).filter((e) => e.code === "NEGATIVE_BALANCE");
+  assert.deepEqual(flagged.map((e) => e.userId), ["vic"]);
+
+  // Once only; the cancelled stake earns nothing more and the negative wallet can't withdraw.
+  assert.equal((await reverse(txRef)).status, 409);
+  t.setNow("2026-06-03T08:00:00Z");
+  assert.equal((await t.runDailyReturns()).processed, 0);
+  const again = await t.request("POST", "/api/withdrawals", { token: "vic", body: { userId: "vic", amount: 1000, phone: "0772123456" } });
+  assert.equal(again.status, 409);
+});
+
+test("a provider 'reversed' IPN reverses the deposit automatically", async () => {
+  const txRef = await deposit("wes", 1100);
+  const ipn = () => t.request("POST", "/ipn", { body: t.signIpn({ txRef, status: "reversed", message: "Reversed by network" }) });
+  assert.equal((await ipn()).status, 200);
+  assert.equal((await ipn()).status, 200); // replay: acknowledged, not applied twice
+
+  const reversal = t.db.dump("reversals")[txRef];
+  assert.equal(reversal.source, "provider");
+  assert.equal(reversal.reason, "Reversed by network");
+  assert.equal(t.db.dump("stakes")[txRef].status, "reversed");
+  assert.equal(t.db.dump("users").wes.totalDeposited, 0);
+  assert.equal(t.db.dump("payments")[txRef].status, "reversed");
+
+  assert.equal((await reverse("nope")).status, 404);
+  assert.equal((await t.request("POST", `/admin/deposits/${txRef}/reverse`, { token: "wes", body: { reason: "x" } })).status, 403);
+});
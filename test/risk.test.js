@@ -0,0 +1,87 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./support/harness");
+
+let t;
+before(async () => {
+  t = await startTestApp();
+  for (const uid of ["u1", "u2", "u3", "u4", "u5"]) t.db.seed(`users/${uid}`, { returnsWallet: 0 });
+  t.db.seed("users/lee", { returnsWallet: 50000, depositPhones: ["256772000001"], payoutPhone: "256772000001" });
+});
+after(() => t.close());
+
+const deposit = (userId, amount, phone) =>
+  t.request("POST", "/api/pay", { token: userId, body: { userId, amount, phone } });
+const withdraw = (userId, amount, phone) =>
+  t.request("POST", "/api/withdrawals", { token: userId, body: { userId, amount, phone } });
+const events = () => Object.values(t.db.dump("risk_events"));
+
+test("deposit amounts outside the limits are refused with a code and a risk event", async () => {
+  const low = await deposit("u1", 100, "0772000010");
+  assert.equal(low.status, 422);
+  assert.equal(low.body.code, "AMOUNT_BELOW_MIN");
+
+  const high = await deposit("u1", 6000000, "0772000010");
+  assert.equal(high.body.code, "AMOUNT_ABOVE_MAX");
+
+  assert.deepEqual(events().map((e) => [e.action, e.code, e.type]), [
+    ["deposit", "AMOUNT_BELOW_MIN", "rejected"],
+    ["deposit", "AMOUNT_ABOVE_MAX", "rejected"],
+  ]);
+});
+
+test("operators tighten caps in Firestore and they apply per user", async () => {
+  const put = await t.request("PUT", "/admin/risk/limits", {
+    token: "admin:ops",
+    body: { currencies: { UGX: { deposit: { dailyMax: 3000 } } } },
+  });
+  assert.equal(put.status, 200);
+  assert.equal(put.body.data.currencies.UGX.deposit.dailyMax, 3000);
+  assert.equal(put.body.data.currencies.UGX.deposit.min, 500); // untouched defaults survive
+  assert.equal(t.db.dump("config").risk_limits.updatedBy, "ops");
+
+  assert.equal((await deposit("u1", 2000, "0772000011")).status, 200);
+  const over = await deposit("u1", 2000, "0772000012");
+  assert.equal(over.status, 429);
+  assert.equal(over.body.code, "USER_DAILY_LIMIT");
+
+  // A day later the rolling window has moved on.
+  t.setNow("2026-01-11T09:00:00Z");
+  assert.equal((await deposit("u1", 2000, "0772000012")).status, 200);
+});
+
+test("one MSISDN can only be shared by a limited number of accounts", async () => {
+  for (const uid of ["u2", "u3", "u4"]) assert.equal((await deposit(uid, 500, "0772000020")).status, 200);
+  const fourth = await deposit("u5", 500, "0772000020");
+  assert.equal(fourth.status, 403);
+  assert.equal(fourth.body.code, "PHONE_SHARED_LIMIT");
+  assert.deepEqual(t.db.dump("phone_links")["256772000020"].userIds, ["u2", "u3", "u4"]);
+});
+
+test("withdrawals to a new payout number hit a cooldown; non-deposit phones go to review", async () => {
+  const changed = await withdraw("lee", 1000, "0772000002");
+  assert.equal(changed.status, 403);
+  assert.equal(changed.body.code, "PHONE_CHANGE_COOLDOWN");
+  assert.equal(t.db.dump("users").lee.payoutPhone, "256772000002");
+  assert.equal(t.db.dump("users").lee.returnsWallet, 50000);
+
+  assert.equal((await withdraw("lee", 1000, "0772000002")).body.code, "PHONE_CHANGE_COOLDOWN");
+
+  t.setNow("2026-01-12T10:00:00Z");
+  const later = await withdraw("lee", 1000, "0772000002");
+  assert.equal(later.status, 201);
+  const w = later.body.data[0];
+  assert.equal(w.status, "review");
+  assert.deepEqual(t.db.dump("withdraws")[w.withdrawalId].riskFlags, ["phone_not_used_for_deposit"]);
+
+  const flagged = events().find((e) => e.type === "flagged");
+  assert.equal(flagged.ref, w.withdrawalId);
+
+  const list = await t.request("GET", "/admin/risk/events?reviewed=false", { token: "admin:ops" });
+  assert.ok(list.body.data.length >= 5);
+  const review = await t.request("POST", `/admin/risk/events/${list.body.data[0].id}/review`, {
+    token: "admin:ops",
+    body: { note: "Known customer" },
+  });
+  assert.equal(review.status, 200);
+});
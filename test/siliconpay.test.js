@@ -0,0 +1,81 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStubHttp, ENV } = require("./support/harness");
+const { createSiliconPayProvider } = require("../providers");
+
+// A provider on the stub HTTP client with a hand-driven clock.
+function setup(env = {}) {
+  const clock = { ms: Date.parse("2026-01-10T08:00:00Z") };
+  const http = createStubHttp();
+  const provider = createSiliconPayProvider({ env: { ...ENV, ...env }, http, now: () => clock.ms });
+  const calls = (url) => http.calls.filter((c) => c.url.startsWith(url)).length;
+  return { clock, http, provider, calls };
+}
+
+const transfer = (txRef) => ({ txRef, phone: "256772123456", amount: 5000, email: "a@test.dev", reason: "test" });
+
+test("the bearer token is cached, shared by concurrent callers and refreshed before expiry", async () => {
+  const { clock, http, provider, calls } = setup();
+  let minted = 0;
+  http.responses[ENV.SILICON_TOKEN_URL] = () => ({ status: 200, data: { token: `tok-${++minted}`, expires_in: 600 } });
+
+  const tokens = await Promise.all([provider.token(), provider.token(), provider.token()]);
+  assert.deepEqual(tokens, ["tok-1", "tok-1", "tok-1"]);
+  await provider.payout(transfer("OBL-1"));
+  await provider.payout(transfer("OBL-2"));
+  assert.equal(calls(ENV.SILICON_TOKEN_URL), 1);
+  assert.equal(http.calls.at(-1).headers.Authorization, "Bearer tok-1");
+
+  clock.ms += 550 * 1000; // within a minute of the 600s token's expiry
+  await provider.payout(transfer("OBL-3"));
+  assert.equal(calls(ENV.SILICON_TOKEN_URL), 2);
+  assert.equal(http.calls.at(-1).headers.Authorization, "Bearer tok-2");
+});
+
+test("a 401 forces one token refresh and one retry", async () => {
+  const { http, provider, calls } = setup();
+  let minted = 0;
+  http.responses[ENV.SILICON_TOKEN_URL] = () => ({ status: 200, data: { token: `tok-${++minted}` } });
+  const unauthorized = () => {
+    throw Object.assign(new Error("Request failed with status code 401"), { response: { status: 401, data: {} } });
+  };
+  http.responses[ENV.SILICON_PAY_URL] = (payload) =>
+    http.calls.at(-1).headers.Authorization === "Bearer tok-1"
+      ? unauthorized()
+      : { status: 200, data: { status: 200, message: "Accepted", txRef: payload.txRef } };
+
+  const res = await provider.payout(transfer("OBL-1"));
+  assert.equal(res.accepted, true);
+  assert.equal(calls(ENV.SILICON_TOKEN_URL), 2);
+  assert.equal(calls(ENV.SILICON_PAY_URL), 2);
+
+  // A token that keeps being refused is not retried forever.
+  http.responses[ENV.SILICON_PAY_URL] = unauthorized;
+  const refused = await provider.payout(transfer("OBL-2"));
+  assert.equal(refused.accepted, false);
+  assert.equal(refused.httpStatus, 401);
+  assert.equal(calls(ENV.SILICON_PAY_URL), 4);
+});
+
+test("an outage opens the circuit; calls fail fast until a half-open trial succeeds", async () => {
+  const { clock, http, provider, calls } = setup({ SILICON_BREAKER_FAILURES: "3", SILICON_BREAKER_RESET_MS: "30000" });
+  await provider.token();
+  http.responses[ENV.SILICON_PAY_URL] = () => {
+    throw Object.assign(new Error("timeout of 20000ms exceeded"), { code: "ECONNABORTED" });
+  };
+
+  for (let i = 0; i < 3; i++) await assert.rejects(provider.payout(transfer(`OBL-${i}`)), /timeout/);
+  assert.equal(provider.circuitState(), "open");
+
+  const before = http.calls.length;
+  await assert.rejects(provider.collect({ txRef: "DEP-1", phone: "256772123456", amount: 1000 }), { code: "CIRCUIT_OPEN" });
+  await assert.rejects(provider.status("OBL-1"), { code: "CIRCUIT_OPEN" });
+  assert.equal(http.calls.length, before);
+
+  clock.ms += 30 * 1000;
+  http.responses[ENV.SILICON_PAY_URL] = (payload) => ({ status: 200, data: { status: 200, message: "Accepted", txRef: payload.txRef } });
+  const res = await provider.payout(transfer("OBL-9"));
+  assert.equal(res.accepted, true);
+  assert.equal(provider.circuitState(), "closed");
+  assert.equal(calls(ENV.SILICON_PAY_URL), 4);
+});
@@ -0,0 +1,77 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./support/harness");
+
+let t;
+before(async () => {
+  t = await startTestApp({ now: "2026-02-01T10:00:00Z" });
+  t.db.seed("packages/gold", { name: "Gold", price: 50000, durationDays: 30, entitlements: ["links:unlimited"] });
+  t.db.seed("packages/legacy", { name: "Legacy", price: 1000, durationDays: 30, active: false });
+});
+after(() => t.close());
+
+const buy = (body, token = "ivy") =>
+  t.request("POST", "/start-payment", { token, body: { phone: "0772123456", email: "ivy@test.dev", ...body } });
+
+const approve = (txRef, extra = {}) =>
+  t.request("POST", "/ipn", { body: t.signIpn({ txRef, status: "successful", ...extra }) });
+
+test("the catalog price is enforced at /start-payment", async () => {
+  assert.equal((await buy({ package: "gold", amount: 500 })).status, 400);
+  assert.equal((await buy({ package: "nope", amount: 50000 })).status, 400);
+  assert.equal((await buy({ package: "legacy", amount: 1000 })).status, 400);
+
+  const ok = await buy({ package: "gold", amount: 50000 });
+  assert.equal(ok.status, 200);
+  const pay = t.db.dump("payments")[ok.body.txRef];
+  assert.equal(pay.amount, "50000");
+  assert.equal(pay.packageSnapshot.durationDays, 30);
+});
+
+test("approval activates, renewal extends, and the lookup reports it", async () => {
+  const first = (await buy({ package: "gold", amount: 50000 })).body.txRef;
+  await approve(first);
+  await approve(first); // duplicate IPN: no second extension
+  let sub = t.db.dump("subscriptions")["ivy@test.dev__gold"];
+  assert.equal(sub.status, "active");
+  assert.equal(sub.expiresAt.toDate().toISOString(), "2026-03-03T10:00:00.000Z");
+  assert.equal(t.db.dump("payments")[first].fulfilled, true);
+
+  // Renewing ten days in stacks onto the remaining time.
+  t.setNow("2026-02-11T10:00:00Z");
+  await new Promise((r) => setTimeout(r, 2)); // distinct TX- refs
+  const second = (await buy({ package: "gold", amount: 50000 })).body.txRef;
+  await approve(second);
+  sub = t.db.dump("subscriptions")["ivy@test.dev__gold"];
+  assert.equal(sub.expiresAt.toDate().toISOString(), "2026-04-02T10:00:00.000Z");
+  assert.deepEqual(sub.paymentRefs, [first, second]);
+
+  const res = await t.request("GET", "/api/subscriptions/ivy@test.dev", { token: "ivy" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.active, true);
+  assert.deepEqual(res.body.subscriptions[0].entitlements, ["links:unlimited"]);
+
+  assert.equal((await t.request("GET", "/api/subscriptions/ivy@test.dev", { token: "jon" })).status, 403);
+  assert.equal((await t.request("GET", "/api/subscriptions/ivy@test.dev", { token: "admin:ops" })).status, 200);
+});
+
+test("a mismatched provider amount is parked for review, not fulfilled", async () => {
+  t.setNow("2026-02-12T10:00:00Z");
+  await new Promise((r) => setTimeout(r, 2));
+  const txRef = (await buy({ package: "gold", amount: 50000, email: "kim@test.dev" }, "kim")).body.txRef;
+  await approve(txRef, { amount: 100 });
+  const pay = t.db.dump("payments")[txRef];
+  assert.equal(pay.status, "needs_review");
+  assert.equal(pay.fulfilled, undefined);
+  assert.equal(t.db.dump("subscriptions")["kim@test.dev__gold"], undefined);
+});
+
+test("the expiry job lapses subscriptions past their end date", async () => {
+  t.setNow("2026-04-02T10:00:01Z");
+  const res = await t.services.subscriptions.expireSubscriptions();
+  assert.equal(res.expired, 1);
+  assert.equal(t.db.dump("subscriptions")["ivy@test.dev__gold"].status, "expired");
+
+  const lookup = await t.request("GET", "/api/subscriptions/ivy@test.dev", { token: "ivy" });
+  assert.equal(lookup.body.active, false);
+});
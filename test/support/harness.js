@@ -0,0 +1,127 @@
+// test/support/harness.js — boots the app on an ephemeral port against in-memory deps
+process.env.NODE_ENV = "test";
+process.env.IPN_URL = "http://localhost/ipn";
+process.env.PAYMENT_PROVIDER = "siliconpay";
+
+const { MemoryFirestore } = require("./memory-firestore");
+const { createSiliconPayProvider } = require("../../providers");
+const { aes256EcbBase64 } = require("../../lib/crypto");
+const { createMailer } = require("../../lib/mailer");
+const { createApp } = require("../../app");
+const { createServices } = require("../../services");
+
+const ENV = {
+  ENCRYPTION_KEY: "test-encryption-key",
+  SECRET_KEY: "test-secret-key",
+  SILICON_TOKEN_URL: "https://silicon.test/generate_token",
+  SILICON_PAY_URL: "https://silicon.test/api_withdraw",
+  SILICON_COLLECT_URL: "https://silicon.test/process_payments",
+  SILICON_STATUS_URL: "https://silicon.test/transaction_status",
+};
+
+if (!process.env.TEST_VERBOSE) {
+  for (const level of ["log", "info", "warn", "error"]) console[level] = () => {};
+}
+
+// Records every outbound call; `responses` maps a URL prefix to (payload) => { status, data } or throws.
+function createStubHttp() {
+  const calls = [];
+  const responses = {
+    [ENV.SILICON_TOKEN_URL]: () => ({ status: 200, data: { token: "tok-1" } }),
+    [ENV.SILICON_COLLECT_URL]: () => ({ status: 200, data: { status: 200, message: "Prompt sent" } }),
+    [ENV.SILICON_PAY_URL]: (payload) => ({ status: 200, data: { status: 200, message: "Accepted", txRef: payload.txRef } }),
+    [ENV.SILICON_STATUS_URL]: () => ({ status: 200, data: { status: "pending" } }),
+  };
+  const handle = async (method, url, payload, opts = {}) => {
+    calls.push({ method, url, payload, headers: opts.headers || {} });
+    const key = Object.keys(responses).find((p) => url.startsWith(p));
+    if (!key) throw new Error(`Unexpected HTTP ${method} ${url}`);
+    return responses[key](payload, url);
+  };
+  return {
+    calls,
+    responses,
+    get: (url, opts) => handle("GET", url, undefined, opts),
+    post: (url, payload, opts) => handle("POST", url, payload, opts),
+  };
+}
+
+// Renders through nodemailer's JSON transport and keeps what was "sent"; set `fail` to make sends throw.
+function createRecordingMailer() {
+  const transport = createMailer({ transport: "json" });
+  const mailer = {
+    sent: [],
+    fail: null,
+    async sendMail(message) {
+      if (mailer.fail) throw mailer.fail;
+      const info = await transport.sendMail(message);
+      mailer.sent.push(JSON.parse(info.message));
+      return info;
+    },
+  };
+  return mailer;
+}
+
+// Bearer tokens are "<uid>" or "admin:<uid>".
+const stubAuth = {
+  async verifyIdToken(token) {
+    if (!token || token === "bad") throw Object.assign(new Error("invalid"), { code: "auth/argument-error" });
+    const [a, b] = token.split(":");
+    return b ? { uid: b, admin: a === "admin", email: `${b}@test.dev` } : { uid: a, email: `${a}@test.dev` };
+  },
+};
+
+// Suites share one IP and a frozen clock, so limits are lifted unless a test passes its own.
+const RELAXED_LIMITS = { ip: { max: 10000 }, pay: { max: 1000 }, withdraw: { max: 1000 } };
+
+async function startTestApp({ now = "2026-01-10T08:00:00Z", rateLimits = RELAXED_LIMITS, distributorHandlers } = {}) {
+  const clock = { now: new Date(now) };
+  const db = new MemoryFirestore({ clock: () => clock.now });
+  const http = createStubHttp();
+  const provider = createSiliconPayProvider({ env: ENV, http });
+  const mailer = createRecordingMailer();
+  const services = createServices({ db, provider, mailer, http, clock: () => clock.now, distributorHandlers });
+  const built = createApp({ db, provider, auth: stubAuth, mailer, http, clock: () => clock.now, services, rateLimits });
+
+  const server = await new Promise((resolve) => {
+    const s = built.app.listen(0, () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, { body, token, headers = {} } = {}) {
+    const res = await fetch(base + path, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (_) {}
+    return { status: res.status, body: json, text, headers: res.headers };
+  }
+
+  const signIpn = (body) => ({ ...body, secure_hash: aes256EcbBase64(String(body.txRef), ENV.SECRET_KEY) });
+
+  return {
+    ...built,
+    base,
+    db,
+    http,
+    mailer,
+    clock,
+    request,
+    signIpn,
+    setNow: (iso) => {
+      clock.now = new Date(iso);
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+module.exports = { startTestApp, createStubHttp, ENV };
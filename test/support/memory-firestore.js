@@ -0,0 +1,405 @@
+// test/support/memory-firestore.js — in-memory stand-in for the Firestore Admin API the app uses
+// Supports collection/doc refs, set/update/create/delete, where/orderBy/limit/startAfter queries,
+// transactions (serialised, writes applied on commit), document onSnapshot listeners and the
+// FieldValue sentinels from firebase-admin.
+const crypto = require("crypto");
+const { Timestamp } = require("firebase-admin/firestore");
+
+const isSentinel = (v) =>
+  v && typeof v === "object" && typeof v.methodName === "string" && v.methodName.startsWith("FieldValue.");
+const isPlainObject = (v) => v !== null && typeof v === "object" && Object.getPrototypeOf(v) === Object.prototype;
+
+function clone(v) {
+  if (Array.isArray(v)) return v.map(clone);
+  if (isPlainObject(v)) return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, clone(x)]));
+  return v; // Timestamps and primitives are immutable
+}
+
+const comparable = (v) => {
+  if (v instanceof Timestamp) return v.toMillis();
+  if (v instanceof Date) return v.getTime();
+  return v;
+};
+const sameValue = (a, b) => JSON.stringify(comparable(a)) === JSON.stringify(comparable(b));
+
+function compare(a, b) {
+  const x = comparable(a);
+  const y = comparable(b);
+  if (x === y) return 0;
+  return x < y ? -1 : 1;
+}
+
+function getPath(obj, field) {
+  return String(field)
+    .split(".")
+    .reduce((o, k) => (o && typeof o === "object" ? o[k] : undefined), obj);
+}
+
+const DELETE = Symbol("delete");
+
+class MemoryFirestore {
+  constructor({ clock = () => new Date() } = {}) {
+    this.clock = clock;
+    this.collections = new Map(); // name -> Map(id -> data)
+    this._queue = Promise.resolve();
+    this._listeners = new Map(); // doc path -> Set(listener)
+  }
+
+  collection(name) {
+    return new CollectionReference(this, name);
+  }
+
+  doc(path) {
+    const [col, id] = String(path).split("/");
+    return this.collection(col).doc(id);
+  }
+
+  async runTransaction(fn) {
+    // Serialise transactions: good enough to prove only one claimant wins.
+    const run = this._queue.then(async () => {
+      const tx = new Transaction(this);
+      const result = await fn(tx);
+      tx._commit();
+      return result;
+    });
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  /* test helpers */
+  seed(path, data) {
+    this.doc(path)._write(clone(data));
+  }
+
+  dump(name) {
+    return Object.fromEntries([...this._col(name).entries()].map(([id, d]) => [id, clone(d)]));
+  }
+
+  // Like Firestore, listeners get the current snapshot first and then changes, asynchronously;
+  // writes in the same turn coalesce and a rolled-back transaction notifies nobody.
+  _listen(ref, onNext) {
+    const listener = { ref, onNext, delivered: false, last: null, scheduled: false };
+    if (!this._listeners.has(ref.path)) this._listeners.set(ref.path, new Set());
+    this._listeners.get(ref.path).add(listener);
+    this._schedule(listener);
+    return () => this._listeners.get(ref.path)?.delete(listener);
+  }
+
+  _notify(path) {
+    for (const listener of this._listeners.get(path) || []) this._schedule(listener);
+  }
+
+  _schedule(listener) {
+    if (listener.scheduled) return;
+    listener.scheduled = true;
+    setImmediate(() => {
+      listener.scheduled = false;
+      if (!this._listeners.get(listener.ref.path)?.has(listener)) return;
+      const snap = listener.ref._snapshot();
+      const key = JSON.stringify(snap._data ?? null);
+      if (listener.delivered && key === listener.last) return;
+      listener.delivered = true;
+      listener.last = key;
+      listener.onNext(snap);
+    });
+  }
+
+  _col(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new Map());
+    return this.collections.get(name);
+  }
+
+  _resolve(current, value) {
+    if (isSentinel(value)) {
+      switch (value.methodName) {
+        case "FieldValue.serverTimestamp":
+          return Timestamp.fromDate(this.clock());
+        case "FieldValue.increment":
+          return (Number(current) || 0) + Number(value.operand);
+        case "FieldValue.arrayUnion": {
+          const arr = Array.isArray(current) ? [...current] : [];
+          for (const e of value.elements) if (!arr.some((x) => sameValue(x, e))) arr.push(clone(e));
+          return arr;
+        }
+        case "FieldValue.arrayRemove":
+          return (Array.isArray(current) ? current : []).filter((x) => !value.elements.some((e) => sameValue(x, e)));
+        case "FieldValue.delete":
+          return DELETE;
+        default:
+          throw new Error(`Unsupported sentinel ${value.methodName}`);
+      }
+    }
+    if (isPlainObject(value)) {
+      const out = {};
+      for (const [k, v] of Object.entries(value)) {
+        const r = this._resolve(undefined, v);
+        if (r !== DELETE) out[k] = r;
+      }
+      return out;
+    }
+    if (Array.isArray(value)) return value.map((v) => this._resolve(undefined, v));
+    return value;
+  }
+
+  _merge(target, data) {
+    for (const [k, v] of Object.entries(data)) {
+      if (isPlainObject(v) && !isSentinel(v)) {
+        target[k] = isPlainObject(target[k]) ? target[k] : {};
+        this._merge(target[k], v);
+      } else {
+        const r = this._resolve(target[k], v);
+        if (r === DELETE) delete target[k];
+        else target[k] = r;
+      }
+    }
+    return target;
+  }
+
+  _update(target, data) {
+    for (const [field, v] of Object.entries(data)) {
+      const keys = field.split(".");
+      let obj = target;
+      for (const k of keys.slice(0, -1)) {
+        if (!isPlainObject(obj[k])) obj[k] = {};
+        obj = obj[k];
+      }
+      const last = keys[keys.length - 1];
+      const r = this._resolve(obj[last], v);
+      if (r === DELETE) delete obj[last];
+      else obj[last] = r;
+    }
+    return target;
+  }
+}
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return this.exists ? clone(this._data) : undefined;
+  }
+
+  get(field) {
+    return this.exists ? clone(getPath(this._data, field)) : undefined;
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(fn) {
+    this.docs.forEach(fn);
+  }
+}
+
+class DocumentReference {
+  constructor(db, collection, id) {
+    this._db = db;
+    this.id = id;
+    this.parent = collection;
+    this.path = `${collection.id}/${id}`;
+  }
+
+  _read() {
+    return this._db._col(this.parent.id).get(this.id);
+  }
+
+  _write(data) {
+    if (data === undefined) this._db._col(this.parent.id).delete(this.id);
+    else this._db._col(this.parent.id).set(this.id, data);
+    this._db._notify(this.path);
+  }
+
+  _snapshot() {
+    return new DocumentSnapshot(this, this._read());
+  }
+
+  _applySet(data, opts = {}) {
+    const cur = this._read();
+    if (opts.merge) this._write(this._db._merge(clone(cur || {}), data));
+    else this._write(this._db._resolve(undefined, data));
+  }
+
+  _applyUpdate(data) {
+    const cur = this._read();
+    if (cur === undefined) throw Object.assign(new Error(`NOT_FOUND: ${this.path}`), { code: 5 });
+    this._write(this._db._update(clone(cur), data));
+  }
+
+  _applyCreate(data) {
+    if (this._read() !== undefined) throw Object.assign(new Error(`ALREADY_EXISTS: ${this.path}`), { code: 6 });
+    this._write(this._db._resolve(undefined, data));
+  }
+
+  async get() {
+    return this._snapshot();
+  }
+
+  async set(data, opts) {
+    this._applySet(data, opts);
+  }
+
+  async update(data) {
+    this._applyUpdate(data);
+  }
+
+  async create(data) {
+    this._applyCreate(data);
+  }
+
+  async delete() {
+    this._write(undefined);
+  }
+
+  // Returns the unsubscribe function; errors never happen in memory, so onError is not called.
+  onSnapshot(onNext) {
+    return this._db._listen(this, onNext);
+  }
+}
+
+class Query {
+  constructor(db, collectionId, spec = {}) {
+    this._db = db;
+    this._collectionId = collectionId;
+    this._spec = { filters: [], orders: [], limit: null, after: null, ...spec };
+  }
+
+  _with(patch) {
+    return new Query(this._db, this._collectionId, { ...this._spec, ...patch });
+  }
+
+  where(field, op, value) {
+    return this._with({ filters: [...this._spec.filters, { field, op, value }] });
+  }
+
+  orderBy(field, dir = "asc") {
+    return this._with({ orders: [...this._spec.orders, { field, dir }] });
+  }
+
+  limit(n) {
+    return this._with({ limit: n });
+  }
+
+  startAfter(snap) {
+    return this._with({ after: snap });
+  }
+
+  _matches(data, { field, op, value }) {
+    const v = getPath(data, field);
+    switch (op) {
+      case "==":
+        return v !== undefined && compare(v, value) === 0;
+      case "!=":
+        return v !== undefined && compare(v, value) !== 0;
+      case "<":
+        return v !== undefined && compare(v, value) < 0;
+      case "<=":
+        return v !== undefined && compare(v, value) <= 0;
+      case ">":
+        return v !== undefined && compare(v, value) > 0;
+      case ">=":
+        return v !== undefined && compare(v, value) >= 0;
+      case "in":
+        return value.some((x) => v !== undefined && compare(v, x) === 0);
+      case "not-in":
+        return v !== undefined && !value.some((x) => compare(v, x) === 0);
+      case "array-contains":
+        return Array.isArray(v) && v.some((x) => sameValue(x, value));
+      case "array-contains-any":
+        return Array.isArray(v) && v.some((x) => value.some((y) => sameValue(x, y)));
+      default:
+        throw new Error(`Unsupported operator ${op}`);
+    }
+  }
+
+  async get() {
+    const col = this._db._col(this._collectionId);
+    const { filters, orders, limit, after } = this._spec;
+    let rows = [...col.entries()].filter(([, d]) => filters.every((f) => this._matches(d, f)));
+    rows = rows.filter(([, d]) => orders.every((o) => getPath(d, o.field) !== undefined));
+    rows.sort(([ia, a], [ib, b]) => {
+      for (const o of orders) {
+        const c = compare(getPath(a, o.field), getPath(b, o.field));
+        if (c) return o.dir === "desc" ? -c : c;
+      }
+      return ia < ib ? -1 : ia > ib ? 1 : 0;
+    });
+    if (after) {
+      const i = rows.findIndex(([id]) => id === after.id);
+      rows = i >= 0 ? rows.slice(i + 1) : rows;
+    }
+    if (limit != null) rows = rows.slice(0, limit);
+    const ref = new CollectionReference(this._db, this._collectionId);
+    return new QuerySnapshot(rows.map(([id, d]) => new DocumentSnapshot(ref.doc(id), d)));
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(db, name) {
+    super(db, name);
+    this.id = name;
+  }
+
+  doc(id) {
+    return new DocumentReference(this._db, this, id || crypto.randomBytes(10).toString("hex"));
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.create(data);
+    return ref;
+  }
+}
+
+class Transaction {
+  constructor(db) {
+    this._db = db;
+    this._writes = [];
+  }
+
+  async get(refOrQuery) {
+    return refOrQuery instanceof DocumentReference ? refOrQuery._snapshot() : refOrQuery.get();
+  }
+
+  set(ref, data, opts) {
+    this._writes.push(() => ref._applySet(data, opts));
+    return this;
+  }
+
+  update(ref, data) {
+    this._writes.push(() => ref._applyUpdate(data));
+    return this;
+  }
+
+  create(ref, data) {
+    this._writes.push(() => ref._applyCreate(data));
+    return this;
+  }
+
+  delete(ref) {
+    this._writes.push(() => ref._write(undefined));
+    return this;
+  }
+
+  _commit() {
+    // All-or-nothing: validate against a snapshot, restore it if any write throws.
+    const backup = new Map([...this._db.collections].map(([k, m]) => [k, new Map(m)]));
+    try {
+      for (const w of this._writes) w();
+    } catch (e) {
+      this._db.collections = backup;
+      throw e;
+    }
+  }
+}
+
+module.exports = { MemoryFirestore, Timestamp };
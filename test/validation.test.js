@@ -0,0 +1,92 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./support/harness");
+const { MemoryFirestore } = require("./support/memory-firestore");
+const { createFirestoreStore } = require("../middleware/rate-limit");
+
+let t;
+before(async () => {
+  t = await startTestApp({ rateLimits: { ip: { max: 30 }, pay: { max: 2 }, withdraw: { max: 1000 } } });
+  t.db.seed("users/amy", { returnsWallet: 0 });
+  t.db.seed("users/ben", { returnsWallet: 0 });
+  t.db.seed("users/cal", { returnsWallet: 0 });
+});
+after(() => t.close());
+
+const pay = (userId, body = {}) =>
+  t.request("POST", "/api/pay", { token: userId, body: { userId, amount: 1000, phone: "0772000100", ...body } });
+
+test("bad bodies and params get one 400 shape listing every field", async () => {
+  const res = await t.request("POST", "/api/pay", { token: "amy", body: { amount: "lots", email: "nope" } });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.success, false);
+  assert.equal(res.body.code, "VALIDATION_FAILED");
+  assert.equal(res.body.error, res.body.messages[0]);
+  assert.deepEqual(
+    res.body.details.map((d) => d.field),
+    ["body.userId", "body.amount", "body.phone", "body.email"]
+  );
+
+  const limit = await t.request("GET", "/api/users/amy/ledger?limit=5000", { token: "amy" });
+  assert.equal(limit.status, 400);
+  assert.equal(limit.body.details[0].field, "query.limit");
+});
+
+test("auth, routing, JSON and IPN errors use the same shape", async () => {
+  const noToken = await t.request("POST", "/api/withdrawals", { body: {} });
+  assert.deepEqual([noToken.status, noToken.body.code], [401, "UNAUTHENTICATED"]);
+
+  const missing = await t.request("GET", "/nope");
+  assert.deepEqual([missing.status, missing.body.code], [404, "NOT_FOUND"]);
+
+  // A bare JSON string is not an object, so the strict body parser refuses it.
+  const garbled = await t.request("POST", "/api/pay", { token: "amy", body: "{not json" });
+  assert.deepEqual([garbled.status, garbled.body.code], [400, "INVALID_JSON"]);
+
+  const noRef = await t.request("POST", "/ipn", { body: { status: "successful" } });
+  assert.deepEqual([noRef.status, noRef.body.error], [400, "txRef is required"]);
+
+  const forged = await t.request("POST", "/ipn", { body: { txRef: "PP-x", status: "successful", secure_hash: "x" } });
+  assert.deepEqual([forged.status, forged.body.code], [403, "INVALID_SIGNATURE"]);
+});
+
+test("per-user payment limit returns 429 until the window passes", async () => {
+  assert.equal((await pay("cal")).status, 200);
+  assert.equal((await pay("cal")).status, 200);
+  const third = await pay("cal");
+  assert.equal(third.status, 429);
+  assert.equal(third.body.code, "RATE_LIMITED");
+  assert.ok(third.body.details.retryAfter > 0);
+
+  // Another user has their own bucket.
+  assert.equal((await pay("ben")).status, 200);
+
+  assert.match(third.body.error, /retry in \d+s/);
+  t.setNow("2026-01-10T08:11:00Z");
+  assert.equal((await pay("cal")).status, 200);
+});
+
+test("the per-IP limit covers public routes but never the IPN", async () => {
+  t.setNow("2026-01-10T09:00:00Z");
+  let last;
+  for (let i = 0; i < 31; i++) last = await t.request("GET", "/api/pay/nothing");
+  assert.equal(last.status, 429);
+
+  const ipn = await t.request("POST", "/ipn", { body: t.signIpn({ txRef: "PP-unknown", status: "successful" }) });
+  assert.equal(ipn.status, 200);
+  assert.equal((await t.request("GET", "/healthz")).status, 200);
+});
+
+test("the Firestore store shares one counter per key and window", async () => {
+  const db = new MemoryFirestore();
+  const a = createFirestoreStore(db);
+  const b = createFirestoreStore(db); // a second web instance
+  const at = Date.parse("2026-01-10T08:00:30Z");
+
+  assert.equal((await a.hit("pay:user:amy", 60000, at)).count, 1);
+  const second = await b.hit("pay:user:amy", 60000, at + 1000);
+  assert.equal(second.count, 2);
+  assert.equal(second.resetAt, Date.parse("2026-01-10T08:01:00Z"));
+  assert.equal((await b.hit("pay:user:amy", 60000, at + 60000)).count, 1);
+  assert.equal(Object.keys(db.dump("rate_limits")).length, 2);
+});
@@ -0,0 +1,123 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, ENV } = require("./support/harness");
+const { signPayload } = require("../services/webhooks");
+
+let t;
+before(async () => {
+  t = await startTestApp({ now: "2026-07-01T08:00:00Z" });
+  t.db.seed("users/amy", { returnsWallet: 0 });
+  t.db.seed("users/ben", { returnsWallet: 0 });
+  t.db.seed("users/cal", { returnsWallet: 5000 });
+});
+after(() => t.close());
+
+async function deposit(userId, amount) {
+  const pay = await t.request("POST", "/api/pay", { token: userId, body: { userId, amount, phone: "0772123456" } });
+  const txRef = pay.body.transaction_ref;
+  await t.request("POST", "/ipn", { body: t.signIpn({ txRef, status: "successful", amount }) });
+  return txRef;
+}
+
+const register = (body) => t.request("POST", "/admin/webhooks", { token: "admin:ops", body });
+const hookCalls = (prefix) => t.http.calls.filter((c) => c.url.startsWith(prefix));
+
+test("a credited deposit is delivered, signed, to subscribed endpoints only", async () => {
+  assert.equal((await register({ url: "http://client.test/hooks", events: ["deposit.credited"] })).status, 400);
+  assert.equal((await register({ url: "https://client.test/hooks", events: ["deposit.paid"] })).status, 400);
+
+  const created = await register({ url: "https://client.test/hooks", events: ["deposit.credited"] });
+  assert.equal(created.status, 201);
+  const { id, secret } = created.body.data;
+  assert.match(secret, /^whsec_/);
+  await register({ url: "https://other.test/hooks", events: ["withdrawal.failed"] });
+  const listed = await t.request("GET", "/admin/webhooks", { token: "admin:ops" });
+  assert.ok(listed.body.data.every((e) => e.secret === undefined));
+
+  t.http.responses["https://client.test/"] = () => ({ status: 204, data: "" });
+  t.http.responses["https://other.test/"] = () => ({ status: 204, data: "" });
+  const txRef = await deposit("amy", 1100);
+  await t.services.webhooks.processWebhooks();
+  await t.services.webhooks.processWebhooks(); // nothing due: sent once
+
+  const sent = hookCalls("https://client.test/").filter((c) => c.headers["X-OBlinks-Delivery"].endsWith(`__${id}`));
+  assert.equal(sent.length, 1);
+  assert.equal(hookCalls("https://other.test/").length, 0);
+  const [call] = sent;
+  assert.equal(call.headers["X-OBlinks-Event"], "deposit.credited");
+  const payload = JSON.parse(call.payload);
+  assert.equal(payload.type, "deposit.credited");
+  assert.deepEqual(payload.data, { txRef, userId: "amy", amount: 1100, currency: "UGX", principal: 1000, stakeId: txRef });
+
+  // Receivers recompute the HMAC over "t.body" with their secret.
+  const ts = /t=(\d+)/.exec(call.headers["X-OBlinks-Signature"])[1];
+  assert.equal(call.headers["X-OBlinks-Signature"], signPayload(secret, call.payload, ts));
+
+  const log = await t.request("GET", `/admin/webhooks/deliveries?endpointId=${id}`, { token: "admin:ops" });
+  assert.equal(log.body.data.length, 1);
+  assert.equal(log.body.data[0].status, "delivered");
+  assert.equal(log.body.data[0].lastHttpStatus, 204);
+});
+
+test("failing deliveries back off, fail after the retry budget and can be replayed", async () => {
+  const created = await register({ url: "https://down.test/hooks", events: ["*"] });
+  const endpointId = created.body.data.id;
+  let up = false;
+  t.http.responses["https://down.test/"] = () => (up ? { status: 200, data: "ok" } : { status: 503, data: "down" });
+
+  await deposit("ben", 1100);
+  await t.services.webhooks.processWebhooks();
+  const calls = () => hookCalls("https://down.test/").length;
+  assert.equal(calls(), 1);
+  await t.services.webhooks.processWebhooks(); // backing off: not retried yet
+  assert.equal(calls(), 1);
+
+  for (let i = 0; i < 10; i++) {
+    t.setNow(new Date(t.clock.now.getTime() + 7 * 3600 * 1000).toISOString());
+    await t.services.webhooks.processWebhooks();
+  }
+  assert.equal(calls(), 8);
+
+  const failed = await t.request("GET", `/admin/webhooks/deliveries?status=failed&endpointId=${endpointId}`, { token: "admin:ops" });
+  assert.equal(failed.body.data.length, 1);
+  const delivery = failed.body.data[0];
+  assert.equal(delivery.attempts, 8);
+  assert.equal(delivery.lastHttpStatus, 503);
+  assert.equal(delivery.attemptLog.length, 8);
+
+  const replay = (id) => t.request("POST", `/admin/webhooks/deliveries/${id}/replay`, { token: "admin:ops" });
+  up = true;
+  const res = await replay(delivery.id);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, "delivered");
+  assert.equal(calls(), 9);
+  assert.equal((await replay(delivery.id)).status, 409); // only failed deliveries
+  assert.equal(t.db.dump("webhook_deliveries")[delivery.id].replayedBy, "ops");
+});
+
+test("a withdrawal the provider rejects publishes withdrawal.failed", async () => {
+  const w = await t.request("POST", "/api/withdrawals", { token: "cal", body: { userId: "cal", amount: 1000, phone: "0772123456" } });
+  const { withdrawalId } = w.body.data[0];
+  const original = t.http.responses[ENV.SILICON_PAY_URL];
+  t.http.responses[ENV.SILICON_PAY_URL] = () => ({ status: 200, data: { status: 400, message: "Insufficient float" } });
+  try {
+    assert.equal((await t.services.payouts.sendPayout(withdrawalId)).status, "failed");
+  } finally {
+    t.http.responses[ENV.SILICON_PAY_URL] = original;
+  }
+
+  const event = t.db.dump("webhook_events")[`withdrawal.failed-${withdrawalId}`];
+  assert.equal(event.type, "withdrawal.failed");
+  assert.deepEqual(event.data, {
+    withdrawalId,
+    txRef: `WD-${withdrawalId}`,
+    userId: "cal",
+    amount: 1000,
+    currency: "UGX",
+    reason: "Insufficient float",
+  });
+  await t.services.webhooks.processWebhooks();
+  const sent = hookCalls("https://other.test/");
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].headers["X-OBlinks-Event"], "withdrawal.failed");
+});
@@ -0,0 +1,183 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, ENV } = require("./support/harness");
+
+let t;
+before(async () => {
+  t = await startTestApp();
+  t.db.seed("users/dave", { returnsWallet: 10000 });
+  t.db.seed("users/erin", { returnsWallet: 10000 });
+  t.db.seed("users/fred", { returnsWallet: 2000000 });
+});
+after(() => t.close());
+
+async function requestWithdrawal(userId, amount) {
+  const res = await t.request("POST", "/api/withdrawals", {
+    token: userId,
+    body: { userId, amount, phone: "0772123456" },
+  });
+  assert.equal(res.status, 201);
+  return res.body.data[0];
+}
+
+const payout = (withdrawalId) =>
+  t.request("POST", "/process-single-withdrawal", { token: "admin:ops", body: { withdrawalId } });
+
+test("requesting a withdrawal holds the funds and rejects overdrafts", async () => {
+  const w = await requestWithdrawal("dave", 3000);
+  assert.equal(w.status, "pending");
+  const dave = t.db.dump("users").dave;
+  assert.equal(dave.returnsWallet, 7000);
+  assert.equal(dave.pendingWithdrawals, 3000);
+
+  const over = await t.request("POST", "/api/withdrawals", {
+    token: "dave",
+    body: { userId: "dave", amount: 999999, phone: "0772123456" },
+  });
+  assert.equal(over.status, 409);
+});
+
+test("successful payout: pending → processing → submitted → approved", async () => {
+  const w = await requestWithdrawal("dave", 2000);
+  const res = await payout(w.withdrawalId);
+  assert.equal(res.status, 200);
+
+  const sent = t.http.calls.filter((c) => c.url === ENV.SILICON_PAY_URL);
+  assert.equal(sent.at(-1).payload.txRef, w.txRef);
+  assert.equal(t.db.dump("withdraws")[w.withdrawalId].status, "submitted");
+
+  await t.request("POST", "/ipn", { body: t.signIpn({ txRef: w.txRef, status: "successful" }) });
+  const doc = t.db.dump("withdraws")[w.withdrawalId];
+  assert.equal(doc.status, "approved");
+  assert.equal(doc.hold.status, "settled");
+  assert.deepEqual(doc.statusHistory.map((h) => h.to), ["processing", "submitted", "approved"]);
+  assert.ok(t.db.dump("ledger")[`wdp-${w.withdrawalId}`]);
+
+  // An approved withdraw cannot be moved again, not even by a late failure IPN.
+  await t.request("POST", "/ipn", { body: t.signIpn({ txRef: w.txRef, status: "failed" }) });
+  assert.equal(t.db.dump("withdraws")[w.withdrawalId].status, "approved");
+  assert.equal(t.db.dump("users").dave.returnsWallet, 5000);
+});
+
+test("failed payout IPN refunds the held amount", async () => {
+  const w = await requestWithdrawal("erin", 4000);
+  await payout(w.withdrawalId);
+  assert.equal(t.db.dump("users").erin.returnsWallet, 6000);
+
+  await t.request("POST", "/ipn", { body: t.signIpn({ txRef: w.txRef, status: "failed", message: "Declined" }) });
+  const doc = t.db.dump("withdraws")[w.withdrawalId];
+  assert.equal(doc.status, "failed");
+  assert.equal(doc.hold.status, "refunded");
+
+  const erin = t.db.dump("users").erin;
+  assert.equal(erin.returnsWallet, 10000);
+  assert.equal(erin.pendingWithdrawals, 0);
+});
+
+test("a provider rejection fails the withdrawal and refunds it", async () => {
+  const w = await requestWithdrawal("erin", 1000);
+  const original = t.http.responses[ENV.SILICON_PAY_URL];
+  t.http.responses[ENV.SILICON_PAY_URL] = () => ({ status: 200, data: { status: 400, message: "Insufficient float" } });
+  try {
+    const res = await payout(w.withdrawalId);
+    assert.equal(res.status, 502);
+  } finally {
+    t.http.responses[ENV.SILICON_PAY_URL] = original;
+  }
+  assert.equal(t.db.dump("withdraws")[w.withdrawalId].status, "failed");
+  assert.equal(t.db.dump("users").erin.returnsWallet, 10000);
+});
+
+test("concurrent payout attempts pay a withdrawal only once", async () => {
+  const w = await requestWithdrawal("dave", 500);
+  const before = t.http.calls.length;
+  const results = await Promise.all([t.sendPayout(w.withdrawalId, "tok"), t.sendPayout(w.withdrawalId, "tok")]);
+  assert.deepEqual(results.map((r) => r.claimed).sort(), [false, true]);
+  assert.equal(t.http.calls.slice(before).filter((c) => c.url === ENV.SILICON_PAY_URL).length, 1);
+});
+
+test("operator routes reject non-admins", async () => {
+  assert.equal((await t.request("POST", "/process-withdraws")).status, 401);
+  assert.equal((await t.request("POST", "/process-withdraws", { token: "dave" })).status, 403);
+});
+
+test("withdrawals over the threshold wait for an operator, who is recorded", async () => {
+  const w = await requestWithdrawal("fred", 600000);
+  assert.equal(w.status, "review");
+
+  // Neither the sweep nor a direct payout sends it before approval.
+  await t.request("POST", "/process-withdraws", { token: "admin:ops" });
+  assert.equal((await payout(w.withdrawalId)).status, 409);
+  assert.equal(t.db.dump("withdraws")[w.withdrawalId].status, "review");
+
+  const queue = await t.request("GET", "/admin/withdrawals?status=review", { token: "admin:ops" });
+  assert.deepEqual(queue.body.data.map((x) => x.id), [w.withdrawalId]);
+  assert.equal(queue.body.data[0].needsApproval, true);
+
+  const held = await t.request("POST", `/admin/withdrawals/${w.withdrawalId}/hold`, {
+    token: "admin:ops",
+    body: { reason: "Checking KYC" },
+  });
+  assert.equal(held.body.status, "on_hold");
+
+  const approved = await t.request("POST", `/admin/withdrawals/${w.withdrawalId}/approve`, {
+    token: "admin:lead",
+    body: { payNow: true },
+  });
+  assert.equal(approved.status, 200);
+  assert.equal(approved.body.status, "submitted");
+
+  const doc = t.db.dump("withdraws")[w.withdrawalId];
+  assert.equal(doc.approval.by, "lead");
+  assert.equal(doc.onHold.by, "ops");
+  // Decisions and history are stamped with the injected clock, not the machine's.
+  assert.equal(doc.approval.at, t.clock.now.toISOString());
+  assert.ok(doc.statusHistory.every((h) => h.at === t.clock.now.toISOString()));
+  assert.equal(doc.lockedAt, t.clock.now.getTime());
+  assert.deepEqual(
+    doc.statusHistory.map((h) => [h.to, h.by]),
+    [["on_hold", "ops"], ["pending", "lead"], ["processing", undefined], ["submitted", undefined]]
+  );
+});
+
+test("a pending withdrawal over the threshold is approved in place exactly once", async () => {
+  // Requested before the threshold existed: pending, but unpayable without an approval.
+  t.db.seed("withdraws/legacy-big", { userId: "fred", amount: 800000, currency: "UGX", status: "pending" });
+  const approve = (token) => t.request("POST", "/admin/withdrawals/legacy-big/approve", { token });
+
+  const results = await Promise.all([approve("admin:ops"), approve("admin:lead")]);
+  assert.deepEqual(results.map((r) => r.status).sort(), [200, 409]);
+
+  const doc = t.db.dump("withdraws")["legacy-big"];
+  assert.equal(doc.status, "pending");
+  assert.equal(doc.statusHistory.length, 1);
+  assert.deepEqual([doc.statusHistory[0].from, doc.statusHistory[0].to], ["pending", "pending"]);
+  assert.equal(doc.statusHistory[0].by, doc.approval.by);
+
+  const again = await approve("admin:ops");
+  assert.equal(again.status, 409);
+  assert.equal(again.body.error, "Withdrawal is already payable");
+});
+
+test("rejecting a withdrawal needs a reason and refunds the hold", async () => {
+  const w = await requestWithdrawal("fred", 700000);
+  const noReason = await t.request("POST", `/admin/withdrawals/${w.withdrawalId}/reject`, { token: "admin:ops" });
+  assert.equal(noReason.status, 400);
+
+  const res = await t.request("POST", `/admin/withdrawals/${w.withdrawalId}/reject`, {
+    token: "admin:ops",
+    body: { reason: "Suspicious activity" },
+  });
+  assert.equal(res.status, 200);
+
+  const doc = t.db.dump("withdraws")[w.withdrawalId];
+  assert.equal(doc.status, "failed");
+  assert.equal(doc.rejection.reason, "Suspicious activity");
+  assert.equal(doc.hold.status, "refunded");
+  assert.equal(t.db.dump("users").fred.returnsWallet, 1400000);
+
+  // Decisions on a final withdrawal are refused.
+  const again = await t.request("POST", `/admin/withdrawals/${w.withdrawalId}/approve`, { token: "admin:ops" });
+  assert.equal(again.status, 409);
+  assert.equal((await t.request("GET", "/admin/withdrawals", { token: "fred" })).status, 403);
+});
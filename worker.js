@@ -0,0 +1,35 @@
+/******************************************
+ * OBlinks + MoneyGamez Worker (scheduled jobs, no HTTP port)
+ ******************************************/
+const axios = require("axios");
+const config = require("./config");
+const { initFirebase } = require("./lib/firebase");
+const { createMailer } = require("./lib/mailer");
+const { createProvider } = require("./providers");
+const { createServices } = require("./services");
+const { startScheduler } = require("./scheduler");
+const { createLogger } = require("./lib/logger");
+
+const log = createLogger({ module: "worker" });
+
+axios.defaults.timeout = 20000;
+
+function start() {
+  config.requireProviderEnv();
+  const { db } = initFirebase();
+  const services = createServices({
+    db,
+    provider: createProvider(config.PAYMENT_PROVIDER),
+    mailer: createMailer(),
+  });
+  startScheduler(services);
+  services.distributor.start();
+  services.notifications.start();
+  services.webhooks.start();
+  log.info("Worker running", { tz: config.TZ });
+  return services;
+}
+
+if (require.main === module) start();
+
+module.exports = { start };